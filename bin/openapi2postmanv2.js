@@ -4,15 +4,35 @@ var _ = require('lodash'),
   Converter = require('../index.js'),
   fs = require('fs'),
   path = require('path'),
-  availableOptions = require('../lib/options').getOptions('use', { usage: ['CONVERSION'] }),
+  yaml = require('js-yaml'),
+
+  optionsDefinitions = require('../lib/options'),
+
+  // interval (in ms) at which watched files are polled for changes in watch mode
+  WATCH_INTERVAL = 300,
+
+  // config file discovered from working directory if not provided via --config
+  CONFIG_FILE_NAME = '.openapi2postmanrc',
+
+  // file path denoting standard input
+  STDIN = '-',
+  OUTPUT_FORMATS = ['json', 'yaml'],
+
   inputFile,
+  collectionFile,
+  openapiVersion,
   outputFile,
+  outputFormat,
   prettyPrintFlag,
   configFile,
   definedOptions,
   testFlag,
   swaggerInput,
   interfaceVersion,
+  watchFlag,
+  validateArgs,
+  multiFileArgs,
+  cliOptions,
   swaggerData;
 
 /**
@@ -22,46 +42,284 @@ var _ = require('lodash'),
  * @returns {Object} - Parsed option in format of JSON object
  */
 function parseOptions (value) {
-  let definedOptions = value.split(','),
+  // commas inside array values (i.e. validationPropertiesToIgnore=["HEADER","BODY"]) don't separate options
+  let definedOptions = value.split(/,(?![^[]*\])/),
     parsedOptions = {};
 
   _.forEach(definedOptions, (definedOption) => {
-    let option = definedOption.split('=');
+    let separatorIndex = definedOption.indexOf('='),
+      optionValue = definedOption.slice(separatorIndex + 1);
 
-    if (option.length === 2 && _.includes(_.keys(availableOptions), option[0])) {
-      try {
-        // parse parsable data types (e.g. boolean, integer etc)
-        parsedOptions[option[0]] = JSON.parse(option[1]);
-      }
-      catch (e) {
-        // treat value as string if can not be parsed
-        parsedOptions[option[0]] = option[1];
-      }
+    if (separatorIndex <= 0) {
+      throw new Error(`Invalid option "${definedOption}" provided via -O option, expected format is <option>=<value>`);
     }
-    else {
-      console.warn('\x1b[33m%s\x1b[0m', 'Warning: Invalid option supplied ', option[0]);
+
+    try {
+      // parse parsable data types (e.g. boolean, integer etc)
+      parsedOptions[definedOption.slice(0, separatorIndex)] = JSON.parse(optionValue);
+    }
+    catch (e) {
+      // treat value as string if can not be parsed
+      parsedOptions[definedOption.slice(0, separatorIndex)] = optionValue;
     }
   });
 
+  return parsedOptions;
+}
+
+/**
+ * Checks value of option against type (and allowed values) of the option definition
+ *
+ * @param {Object} definition - Option definition from lib/options.js
+ * @param {*} value - User defined value of the option
+ * @returns {String} - Description of expected value if value is invalid, null otherwise
+ */
+function getInvalidOptionValueReason (definition, value) {
+  switch (definition.type) {
+    case 'boolean':
+      return _.isBoolean(value) ? null : 'expected true or false';
+    case 'integer':
+      return _.isSafeInteger(value) ? null : 'expected an integer';
+    case 'array':
+      return _.isArray(value) ? null : 'expected an array (i.e. ["value"])';
+    case 'string':
+      return _.isString(value) ? null : 'expected a string';
+    case 'object':
+      return _.isPlainObject(value) ? null : 'expected an object';
+    case 'enum':
+      // enum values are case-insensitive
+      return _.includes(_.map(definition.availableOptions, _.toLower), _.toLower(value)) ? null :
+        `allowed values are ${definition.availableOptions.join(', ')}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates options against their definitions in lib/options.js. Options that exist but are not applicable
+ * to the command being run are ignored with a warning, whereas unknown options and values not matching
+ * the type or allowed values of the option result in an error.
+ *
+ * @param {Object} options - User defined options
+ * @param {String} source - Source of the options used in messages (i.e. "-O option")
+ * @returns {Object} - Options applicable to the command being run
+ */
+function validateOptions (options, source) {
+  const moduleVersion = validateArgs ? 'v2' : interfaceVersion,
+    applicableOptions = _.keyBy(optionsDefinitions.getOptions('document', {
+      usage: [validateArgs ? 'VALIDATION' : 'CONVERSION'],
+      moduleVersion
+    }), 'id'),
+    knownOptions = _.keyBy(_.concat(optionsDefinitions.getOptions('document', { moduleVersion: 'v1' }),
+      optionsDefinitions.getOptions('document', { moduleVersion: 'v2' })), 'id'),
+    errors = [];
+
+  let validOptions;
+
   /**
    * As v2 interface uses parametersResolution instead of previous requestParametersResolution option,
    * override value of parametersResolution if it's not defined and requestParametersResolution is defined
    */
-  if (_.has(parsedOptions, 'requestParametersResolution') && !_.has(parsedOptions, 'parametersResolution')) {
-    parsedOptions.parametersResolution = parsedOptions.requestParametersResolution;
+  if (moduleVersion === 'v2' && _.has(options, 'requestParametersResolution')) {
+    options = _.assign({ parametersResolution: options.requestParametersResolution },
+      _.omit(options, 'requestParametersResolution'));
   }
-  return parsedOptions;
+
+  validOptions = _.pickBy(options, (value, id) => {
+    const invalidValueReason = applicableOptions[id] && getInvalidOptionValueReason(applicableOptions[id], value);
+
+    if (!knownOptions[id]) {
+      errors.push(`Unknown option "${id}" provided via ${source}`);
+    }
+    else if (!applicableOptions[id]) {
+      console.warn('\x1b[33m%s\x1b[0m', `Warning: Option "${id}" provided via ${source} is not applicable to ` +
+        (validateArgs ? 'validation' : `conversion with interface version ${moduleVersion}`) + ' and is ignored');
+    }
+    else if (invalidValueReason) {
+      errors.push(`Invalid value ${JSON.stringify(value)} of option "${id}" provided via ${source}, ` +
+        invalidValueReason);
+    }
+
+    return _.has(applicableOptions, id);
+  });
+
+  if (!_.isEmpty(errors)) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return validOptions;
+}
+
+/**
+ * Reads options from JSON or YAML config file
+ *
+ * @param {String} file - Path of config file
+ * @returns {Object} - Options defined in config file
+ */
+function readConfigFile (file) {
+  let options;
+
+  try {
+    options = yaml.load(fs.readFileSync(file, 'utf8'));
+  }
+  catch (e) {
+    throw new Error(`Could not read config file ${file}: ${e.message}`);
+  }
+
+  if (!_.isPlainObject(options)) {
+    throw new Error(`Config file ${file} must contain an object of options`);
+  }
+
+  return options;
+}
+
+/**
+ * Collects options of the command from config file (provided via --config or discovered in working directory),
+ * options config file (provided via -c) and -O option, where options of later sources override earlier ones.
+ *
+ * @returns {Object} - Validated options
+ */
+function getCommandOptions () {
+  const rcFile = path.resolve(program.config || CONFIG_FILE_NAME);
+
+  let options = {};
+
+  if (program.config || fs.existsSync(rcFile)) {
+    options = validateOptions(readConfigFile(rcFile), rcFile);
+  }
+
+  if (configFile) {
+    options = _.assign(options, validateOptions(readConfigFile(path.resolve(configFile)), path.resolve(configFile)));
+  }
+
+  if (cliOptions) {
+    options = _.assign(options, validateOptions(parseOptions(cliOptions), '-O option'));
+  }
+
+  return options;
+}
+
+/**
+ * Reads content of input file, where "-" denotes standard input. Process exits with code 2 if the file
+ * can not be read.
+ *
+ * @param {String} file - Path of input file
+ * @returns {String} - Content of input file
+ */
+function readInput (file) {
+  try {
+    return fs.readFileSync(file === STDIN ? 0 : path.resolve(file), 'utf8');
+  }
+  catch (e) {
+    console.error(`Could not read input file ${file === STDIN ? 'from stdin' : path.resolve(file)}: ${e.message}`);
+    process.exit(2);
+  }
+}
+
+/**
+ * Reads collection from input file, where "-" denotes standard input. Process exits with code 2 if the file
+ * does not contain a JSON object.
+ *
+ * @param {String} file - Path of collection file
+ * @returns {Object} - Postman collection
+ */
+function readCollectionInput (file) {
+  let collection;
+
+  try {
+    collection = JSON.parse(readInput(file));
+  }
+  catch (e) {
+    console.error(`Provided collection is invalid: ${e.message}`);
+    process.exit(2);
+  }
+
+  if (!_.isPlainObject(collection)) {
+    console.error('Provided collection is invalid: Collection v2.1 is expected.');
+    process.exit(2);
+  }
+
+  return collection;
+}
+
+/**
+ * Determines whether definition is to be written as YAML, either as specified via --output-format option
+ * or based on extension of output file
+ *
+ * @returns {Boolean} - Whether definition is to be written as YAML
+ */
+function isYAMLOutput () {
+  if (outputFormat) {
+    return outputFormat === 'yaml';
+  }
+
+  return Boolean(outputFile) && _.includes(['.yaml', '.yml'], _.toLower(path.extname(outputFile)));
 }
 
 program
   .version(require('../package.json').version, '-v, --version')
-  .option('-s, --spec <spec>', 'Convert given OPENAPI 3.0.0 spec to Postman Collection v2.0')
+  .option('-s, --spec <spec>', 'Convert given OPENAPI 3.0.0 spec ("-" for stdin) to Postman Collection v2.0')
+  .option('-C, --collection <collection>',
+    'Convert given Postman Collection v2.1 ("-" for stdin) to OpenAPI definition')
+  .option('--openapi-version <openapiVersion>', 'OpenAPI version (3.0 or 3.1) of definition converted from collection')
   .option('-o, --output <output>', 'Write the collection to an output file')
+  .option('--output-format <outputFormat>', 'Format (json or yaml) of definition written by -C or bundle command')
   .option('-t, --test', 'Test the OPENAPI converter')
+  .option('-w, --watch', 'Watch the spec for changes and re-convert it to output file on every change')
   .option('-p, --pretty', 'Pretty print the JSON file')
   .option('-i, --interface-version <interfaceVersion>', 'Interface version of convert() to be used')
   .option('-c, --options-config <optionsConfig>', 'JSON file containing Converter options')
-  .option('-O, --options <options>', 'comma separated list of options', parseOptions);
+  .option('--config <config>', `JSON or YAML config file containing Converter options, defaults to ${CONFIG_FILE_NAME}`)
+  .option('-O, --options <options>', 'comma separated list of options');
+
+// commander stores value of option as `program.options`, overriding its own list of defined options,
+// which breaks parsing of any option following "-O". Hence the value is stored separately.
+program.removeAllListeners('option:options');
+program.on('option:options', (value) => {
+  cliOptions = value;
+});
+
+program
+  .command('validate <spec> <collection>')
+  .description('Validate requests of given Postman Collection v2.1 against OPENAPI spec')
+  .option('-j, --json', 'Print validation result as JSON')
+  .action((spec, collection, command) => {
+    validateArgs = { spec, collection, json: command.json || false };
+  });
+
+program
+  .command('detect-roots <directory>')
+  .description('Print root files of multi-file OPENAPI spec present in given directory')
+  .option('--spec-version <specVersion>', 'Specification version (2.0, 3.0 or 3.1) of root files to detect')
+  .option('-j, --json', 'Print root files as JSON')
+  .action((directory, command) => {
+    multiFileArgs = { command: 'detect-roots', directory, specVersion: command.specVersion, json: command.json };
+  });
+
+program
+  .command('related-files <directory>')
+  .description('Print files referenced by root files of multi-file OPENAPI spec present in given directory')
+  .option('-r, --root <root>', 'Root file (relative to directory) to find related files for')
+  .option('--spec-version <specVersion>', 'Specification version (2.0, 3.0 or 3.1) of root files')
+  .option('-j, --json', 'Print related files as JSON')
+  .action((directory, command) => {
+    multiFileArgs = {
+      command: 'related-files',
+      directory,
+      root: command.root,
+      specVersion: command.specVersion,
+      json: command.json
+    };
+  });
+
+program
+  .command('bundle <directory>')
+  .description('Bundle multi-file OPENAPI spec present in given directory into single JSON or YAML spec')
+  .option('-r, --root <root>', 'Root file (relative to directory) to bundle')
+  .option('--spec-version <specVersion>', 'Specification version (2.0, 3.0 or 3.1) of root file')
+  .action((directory, command) => {
+    multiFileArgs = { command: 'bundle', directory, root: command.root, specVersion: command.specVersion };
+  });
 
 program.on('--help', function() {
   /* eslint-disable */
@@ -77,18 +335,52 @@ program.on('--help', function() {
   console.log('                Read spec.yaml or spec.json and print the prettified output to the Console');
   console.log('                  ./openapi2postmanv2 -s spec.yaml -p');
   console.log(' ');
+  console.log('                Read collection.json and store the converted OpenAPI 3.1 definition in spec.yaml');
+  console.log('                  ./openapi2postmanv2 -C collection.json -o spec.yaml --openapi-version 3.1');
+  console.log(' ');
+  console.log('                Validate requests of collection.json against spec.yaml with validation options');
+  console.log('                  ./openapi2postmanv2 validate spec.yaml collection.json -O strictRequestMatching=true');
+  console.log(' ');
+  console.log('                Watch spec.yaml and re-convert it to output.json on every change');
+  console.log('                  ./openapi2postmanv2 -s spec.yaml -o output.json --watch');
+  console.log(' ');
+  console.log('                Bundle multi-file spec present in spec directory and store it in bundled.yaml');
+  console.log('                  ./openapi2postmanv2 bundle spec -o bundled.yaml');
+  console.log(' ');
+  console.log('                Convert multi-file spec present in spec directory via its root file');
+  console.log('                  ./openapi2postmanv2 -s spec -o output.json');
+  console.log(' ');
   /* eslint-enable */
 });
 
 program.parse(process.argv);
 
 inputFile = program.spec;
+collectionFile = program.collection;
+openapiVersion = program.openapiVersion || '3.0';
 outputFile = program.output || false;
+outputFormat = _.toLower(program.outputFormat) || false;
 testFlag = program.test || false;
+watchFlag = program.watch || false;
 prettyPrintFlag = program.pretty || false;
 interfaceVersion = program.interfaceVersion || 'v2';
 configFile = program.optionsConfig || false;
-definedOptions = (!(program.options instanceof Array) ? program.options : {});
+
+if (outputFormat && !_.includes(OUTPUT_FORMATS, outputFormat)) {
+  console.error(`Invalid output format "${program.outputFormat}", allowed formats are ${OUTPUT_FORMATS.join(', ')}`);
+  process.exit(2);
+}
+
+// options are validated according to the options applicable to the command being run
+if (!multiFileArgs) {
+  try {
+    definedOptions = getCommandOptions();
+  }
+  catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+}
 swaggerInput;
 swaggerData;
 
@@ -123,30 +415,17 @@ function writetoFile(prettyPrintFlag, file, collection) {
  * @returns {void}
  */
 function convert(swaggerData) {
-  let options = {},
-    convertFn = interfaceVersion === 'v1' ? 'convert' : 'convertV2';
-
-  // apply options from config file if present
-  if (configFile) {
-    configFile = path.resolve(configFile);
-    console.log('Options Config file: ', configFile); // eslint-disable-line no-console
-    options = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-  }
-
-  // override options provided via cli
-  if (definedOptions && !_.isEmpty(definedOptions)) {
-    options = definedOptions;
-  }
+  let convertFn = interfaceVersion === 'v1' ? 'convert' : 'convertV2';
 
   Converter[convertFn]({
     type: 'string',
     data: swaggerData
-  }, options, (err, status) => {
+  }, definedOptions, (err, status) => {
     if (err) {
       return console.error(err);
     }
     if (!status.result) {
-      console.log(status.reason); // eslint-disable-line no-console
+      console.error(status.reason);
       process.exit(0);
     }
     else if (outputFile) {
@@ -155,24 +434,490 @@ function convert(swaggerData) {
       writetoFile(prettyPrintFlag, file, status.output[0].data);
     }
     else {
-      console.log(status.output[0].data); // eslint-disable-line no-console
+      // collection is streamed to stdout as JSON, so that it can be piped
+      // eslint-disable-next-line no-console
+      console.log(JSON.stringify(status.output[0].data, null, prettyPrintFlag ? 4 : undefined));
+      process.exit(0);
+    }
+  });
+}
+
+/**
+ * Helper function for the CLI to convert collection data input to OpenAPI definition.
+ * Definition is written as YAML if specified via --output-format or if output file has YAML extension,
+ * otherwise as JSON.
+ * @param {String} collectionData - collection data used for conversion input
+ * @returns {void}
+ */
+function convertCollection(collectionData) {
+  Converter.convertCollectionToOpenAPI({
+    type: 'string',
+    data: collectionData
+  }, { openapiVersion }, (err, status) => {
+    let definition;
+
+    if (err) {
+      console.error(err.message || err);
+      process.exit(2);
+    }
+
+    if (isYAMLOutput()) {
+      definition = yaml.dump(status.output[0].data, { noRefs: true });
+    }
+    else {
+      definition = JSON.stringify(status.output[0].data, null, prettyPrintFlag ? 4 : undefined);
+    }
+
+    if (!outputFile) {
+      console.log(definition); // eslint-disable-line no-console
       process.exit(0);
     }
+
+    fs.writeFile(path.resolve(outputFile), definition, (err) => {
+      if (err) { console.log('Could not write to file', err); } // eslint-disable-line no-console
+      // eslint-disable-next-line no-console
+      console.log('\x1b[32m%s\x1b[0m', 'Conversion successful, OpenAPI definition written to file');
+    });
+  });
+}
+
+/**
+ * Collects requests of collection recursively in format of request list expected by validateTransactionV2()
+ *
+ * @param {Array} items - Collection items
+ * @param {Array} requestList - Request list to which requests are added
+ * @returns {Array} - request list
+ */
+function getRequestList (items, requestList = []) {
+  _.forEach(items, (item) => {
+    if (_.isArray(item.item)) {
+      return getRequestList(item.item, requestList);
+    }
+
+    if (_.has(item, 'request')) {
+      requestList.push(_.assign({}, item, { id: item.id || `request-${requestList.length + 1}` }));
+    }
   });
+
+  return requestList;
+}
+
+/**
+ * Helper function for the CLI to validate requests of collection against the spec. Mismatches are printed
+ * grouped by request and process exits with code 1 if any mismatch is found, or 2 if input is invalid.
+ * @param {String} specData - spec data used for validation
+ * @param {Object} collection - Postman collection v2.1 object
+ * @returns {void}
+ */
+function validateCollection(specData, collection) {
+  let requestList = getRequestList(collection.item),
+    schemaPack = new Converter.SchemaPack({ type: 'string', data: specData }, definedOptions, 'v2');
+
+  if (!schemaPack.validated) {
+    console.error(schemaPack.validationResult.reason);
+    process.exit(2);
+  }
+
+  schemaPack.validateTransactionV2(requestList, (err, result) => {
+    let requests,
+      mismatchCount;
+
+    if (err) {
+      console.error(err.message || err);
+      process.exit(2);
+    }
+
+    requests = _.map(requestList, (request) => {
+      const endpoint = _.head(_.get(result, ['requests', request.id, 'endpoints'])),
+        mismatches = endpoint ? _.concat(endpoint.mismatches || [], _.flatMap(endpoint.responses, 'mismatches')) : [{
+          property: 'ENDPOINT',
+          reasonCode: 'MISSING_IN_SCHEMA',
+          reason: 'No matching endpoint found in the spec'
+        }];
+
+      return { id: request.id, name: request.name, endpoint: _.get(endpoint, 'endpoint', null), mismatches };
+    });
+    mismatchCount = _.sumBy(requests, 'mismatches.length') + _.size(result.missingEndpoints);
+
+    if (validateArgs.json) {
+      console.log(JSON.stringify({ // eslint-disable-line no-console
+        result: mismatchCount === 0,
+        mismatchCount,
+        requests,
+        missingEndpoints: result.missingEndpoints
+      }, null, prettyPrintFlag ? 4 : undefined));
+    }
+    else {
+      _.forEach(requests, (request) => {
+        // eslint-disable-next-line no-console
+        console.log(`${_.isEmpty(request.mismatches) ? '✓' : '✗'} ${request.name} ` +
+          `(${request.endpoint || 'no matching endpoint'})`);
+        _.forEach(request.mismatches, (mismatch) => {
+          console.log(`    ${mismatch.property}: ${mismatch.reason}`); // eslint-disable-line no-console
+        });
+      });
+
+      if (!_.isEmpty(result.missingEndpoints)) {
+        console.log('Endpoints missing in collection:'); // eslint-disable-line no-console
+        _.forEach(result.missingEndpoints, (missingEndpoint) => {
+          console.log(`    ${missingEndpoint.endpoint}`); // eslint-disable-line no-console
+        });
+      }
+
+      // eslint-disable-next-line no-console
+      console.log(`${mismatchCount} mismatch(es) found in ${requestList.length} request(s).`);
+    }
+
+    process.exit(mismatchCount > 0 ? 1 : 0);
+  });
+}
+
+/**
+ * Reads JSON and YAML files present in directory (recursively) in format of multi-file API input,
+ * where path of each file is relative to the directory (i.e. "/schemas/pet.yaml").
+ * @param {String} directory - Directory containing files of the spec
+ * @param {String} specVersion - Specification version of root files
+ * @returns {Object} - multi-file API input
+ */
+function getMultiFileInput (directory, specVersion) {
+  const readDirectory = (currentDirectory) => {
+    return _.flatMap(fs.readdirSync(currentDirectory), (fileName) => {
+      const filePath = path.join(currentDirectory, fileName);
+
+      // hidden files and directories (i.e. .git) are never part of the spec
+      if (_.startsWith(fileName, '.')) {
+        return [];
+      }
+
+      return fs.statSync(filePath).isDirectory() ? readDirectory(filePath) : [filePath];
+    });
+  };
+
+  return {
+    type: 'multiFile',
+    specificationVersion: specVersion,
+    data: _.map(_.filter(readDirectory(directory), (filePath) => {
+      return _.includes(['.json', '.yaml', '.yml'], _.toLower(path.extname(filePath)));
+    }), (filePath) => {
+      return {
+        path: path.posix.join('/', path.relative(directory, filePath).split(path.sep).join('/')),
+        content: fs.readFileSync(filePath, 'utf8')
+      };
+    })
+  };
+}
+
+/**
+ * Bundles multi-file spec present in directory into single spec. Root file is detected
+ * from files of the directory if not provided.
+ * @param {String} directory - Directory containing files of the spec
+ * @param {String} root - Root file relative to the directory
+ * @param {String} specVersion - Specification version of root file
+ * @param {String} bundleFormat - Format of bundled spec (JSON or YAML)
+ * @returns {Promise} - Resolves with content of bundled spec
+ */
+function bundleDirectory (directory, root, specVersion, bundleFormat) {
+  const input = _.assign(getMultiFileInput(directory, specVersion), { bundleFormat });
+
+  return (root ? Promise.resolve([{ path: path.posix.join('/', root) }]) :
+    Converter.detectRootFiles(input).then((result) => { return _.get(result, 'output.data', []); }))
+    .then((rootFiles) => {
+      if (_.isEmpty(rootFiles)) {
+        throw new Error(`No root file found in directory ${directory}`);
+      }
+      if (rootFiles.length > 1) {
+        throw new Error(`More than one root file found: ${_.map(rootFiles, 'path').join(', ')}`);
+      }
+
+      return Converter.bundle(_.assign(input, { rootFiles }));
+    })
+    .then((result) => {
+      if (!result.result) {
+        throw new Error(result.reason);
+      }
+
+      return _.get(result, 'output.data[0].bundledContent');
+    });
 }
 
-if (testFlag) {
+/**
+ * Helper function for the CLI to run commands operating on multi-file spec present in directory,
+ * i.e. printing root files, related files of root files or writing the bundled spec.
+ * @param {Object} args - Arguments of the command
+ * @returns {void}
+ */
+function runMultiFileCommand (args) {
+  const directory = path.resolve(args.directory),
+    input = getMultiFileInput(directory, args.specVersion);
+
+  let operation;
+
+  if (args.command === 'detect-roots') {
+    operation = Converter.detectRootFiles(input).then((result) => {
+      if (args.json) {
+        // eslint-disable-next-line no-console
+        return console.log(JSON.stringify(result.output, null, prettyPrintFlag ? 4 : undefined));
+      }
+
+      if (_.isEmpty(result.output.data)) {
+        return console.log(`No root files found in directory ${directory}`); // eslint-disable-line no-console
+      }
+
+      _.forEach(result.output.data, (rootFile) => {
+        console.log(rootFile.path); // eslint-disable-line no-console
+      });
+    });
+  }
+  else if (args.command === 'related-files') {
+    if (args.root) {
+      input.rootFiles = [{ path: path.posix.join('/', args.root) }];
+    }
+
+    operation = Converter.detectRelatedFiles(input).then((result) => {
+      if (args.json) {
+        // eslint-disable-next-line no-console
+        return console.log(JSON.stringify(result.output, null, prettyPrintFlag ? 4 : undefined));
+      }
+
+      _.forEach(result.output.data, (relatedFilesData) => {
+        console.log(relatedFilesData.rootFile.path); // eslint-disable-line no-console
+        _.forEach(relatedFilesData.relatedFiles, (relatedFile) => {
+          console.log(`    ${relatedFile.path}`); // eslint-disable-line no-console
+        });
+        _.forEach(relatedFilesData.missingRelatedFiles, (missingFile) => {
+          console.log(`    ${missingFile.path} (missing)`); // eslint-disable-line no-console
+        });
+      });
+    });
+  }
+  else {
+    operation = bundleDirectory(directory, args.root, args.specVersion, isYAMLOutput() ? 'YAML' : 'JSON')
+      .then((bundledContent) => {
+        if (!outputFile) {
+          return console.log(bundledContent); // eslint-disable-line no-console
+        }
+
+        fs.writeFileSync(path.resolve(outputFile), bundledContent);
+        console.log('\x1b[32m%s\x1b[0m', 'Bundling successful, spec written to file'); // eslint-disable-line no-console
+      });
+  }
+
+  operation
+    .then(() => { process.exit(0); })
+    .catch((err) => {
+      console.error(err.message || err);
+      process.exit(1);
+    });
+}
+
+/**
+ * Collects requests of collection keyed by method and path, used to compare conversions in watch mode
+ *
+ * @param {Array} items - Collection items
+ * @param {Object} requests - Requests collected so far
+ * @returns {Object} - Serialised requests keyed by method and path (i.e. "GET /pets/:petId")
+ */
+function getRequestsByEndpoint (items, requests = {}) {
+  _.forEach(items, (item) => {
+    if (_.isArray(item.item)) {
+      return getRequestsByEndpoint(item.item, requests);
+    }
+
+    if (_.has(item, 'request')) {
+      const url = _.get(item, 'request.url'),
+        urlPath = _.isString(url) ? url : '/' + _.join(_.get(url, 'path', []), '/');
+
+      requests[`${_.toUpper(item.request.method || 'GET')} ${urlPath}`] = JSON.stringify(item, (key, value) => {
+        // IDs are generated on every conversion and hence don't represent a change
+        return key === 'id' ? undefined : value;
+      });
+    }
+  });
+
+  return requests;
+}
+
+/**
+ * Prints summary of requests added, removed or changed compared to the previous conversion in watch mode
+ *
+ * @param {Object} previousRequests - Requests of previous conversion, undefined for the first conversion
+ * @param {Object} requests - Requests of current conversion
+ * @returns {void}
+ */
+function printConversionSummary (previousRequests, requests) {
+  const time = new Date().toTimeString().slice(0, 8),
+    added = _.difference(_.keys(requests), _.keys(previousRequests)),
+    removed = _.difference(_.keys(previousRequests), _.keys(requests)),
+    changed = _.filter(_.intersection(_.keys(previousRequests), _.keys(requests)), (endpoint) => {
+      return previousRequests[endpoint] !== requests[endpoint];
+    });
+
+  if (!previousRequests) {
+    // eslint-disable-next-line no-console
+    return console.log(`[${time}] Conversion successful, ${added.length} request(s) written to file`);
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(`[${time}] Conversion successful, ${added.length} added, ${removed.length} removed, ` +
+    `${changed.length} changed request(s)`);
+  _.forEach(added, (endpoint) => { console.log(`    + ${endpoint}`); }); // eslint-disable-line no-console
+  _.forEach(removed, (endpoint) => { console.log(`    - ${endpoint}`); }); // eslint-disable-line no-console
+  _.forEach(changed, (endpoint) => { console.log(`    ~ ${endpoint}`); }); // eslint-disable-line no-console
+}
+
+/**
+ * Provides files to be watched for the spec. For multi-file spec present in directory, these are the root file
+ * and all files related to it, or all files of directory if root file can not be detected.
+ *
+ * @param {String} specPath - Path of spec file or directory containing multi-file spec
+ * @returns {Promise} - Resolves with absolute paths of files to be watched
+ */
+function getWatchedFiles (specPath) {
+  const input = fs.statSync(specPath).isDirectory() ? getMultiFileInput(specPath) : null;
+
+  if (!input) {
+    return Promise.resolve([specPath]);
+  }
+
+  return Converter.detectRelatedFiles(_.clone(input))
+    .then((result) => {
+      const relatedFilesData = _.head(_.get(result, 'output.data'));
+
+      return relatedFilesData ? _.concat(relatedFilesData.rootFile, relatedFilesData.relatedFiles) : input.data;
+    })
+    .catch(() => { return input.data; })
+    .then((files) => {
+      return _.map(files, (file) => { return path.join(specPath, file.path); });
+    });
+}
+
+/**
+ * Helper function for the CLI to watch the spec (and files related to multi-file spec present in directory),
+ * re-converting it on every change. Collection is rewritten to output file and summary of requests
+ * added, removed or changed since the previous conversion is printed.
+ *
+ * @param {String} specPath - Path of spec file or directory containing multi-file spec
+ * @returns {void}
+ */
+function watchSpec (specPath) {
+  let convertFn = interfaceVersion === 'v1' ? 'convert' : 'convertV2',
+    previousRequests,
+    watchedFiles = [],
+    conversionTimeout,
+    onChange;
+
+  const convertSpec = () => {
+    // files are watched before being read, so that changes made during conversion aren't missed
+    getWatchedFiles(specPath)
+      .then((files) => {
+        // related files of multi-file spec can change with every change to the spec
+        _.forEach(_.difference(watchedFiles, files), (file) => { fs.unwatchFile(file, onChange); });
+        _.forEach(_.difference(files, watchedFiles), (file) => {
+          fs.watchFile(file, { interval: WATCH_INTERVAL }, onChange);
+        });
+        watchedFiles = files;
+
+        return fs.statSync(specPath).isDirectory() ? bundleDirectory(specPath, undefined, undefined, 'JSON') :
+          fs.readFileSync(specPath, 'utf8');
+      })
+      .then((data) => {
+        return new Promise((resolve, reject) => {
+          Converter[convertFn]({ type: 'string', data }, definedOptions, (err, status) => {
+            if (err) {
+              return reject(err);
+            }
+            if (!status.result) {
+              return reject(new Error(status.reason));
+            }
+
+            return resolve(JSON.parse(JSON.stringify(status.output[0].data)));
+          });
+        });
+      })
+      .then((collection) => {
+        const requests = getRequestsByEndpoint(collection.item);
+
+        fs.writeFileSync(path.resolve(outputFile), JSON.stringify(collection, null, prettyPrintFlag ? 4 : undefined));
+        printConversionSummary(previousRequests, requests);
+        previousRequests = requests;
+      })
+      // spec being edited can be invalid, in which case conversion is retried on next change
+      .catch((err) => { console.error(err.message || err); });
+  };
+
+  onChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    // multiple files saved at once are re-converted only once
+    clearTimeout(conversionTimeout);
+    conversionTimeout = setTimeout(convertSpec, WATCH_INTERVAL);
+  };
+
+  console.log(`Watching ${specPath} for changes...`); // eslint-disable-line no-console
+  convertSpec();
+}
+
+if (validateArgs) {
+  validateCollection(readInput(validateArgs.spec), readCollectionInput(validateArgs.collection));
+}
+else if (multiFileArgs) {
+  runMultiFileCommand(multiFileArgs);
+}
+else if (testFlag) {
   swaggerData = fs.readFileSync(path.resolve(__dirname, '..', 'examples', 'sample-swagger.yaml'), 'utf8');
   convert(swaggerData);
 }
+else if (inputFile === STDIN) {
+  if (watchFlag) {
+    console.error('Spec read from stdin can not be watched');
+    process.exit(1);
+  }
+
+  convert(readInput(STDIN));
+}
 else if (inputFile) {
   inputFile = path.resolve(inputFile);
-  console.log('Input file: ', inputFile); // eslint-disable-line no-console
-  // The last commit removed __dirname while reading inputFile
-  // this will fix https://github.com/postmanlabs/openapi-to-postman/issues/4
-  // inputFile should be read from the cwd, not the path of the executable
-  swaggerData = fs.readFileSync(inputFile, 'utf8');
-  convert(swaggerData);
+  // informational messages are written to stderr to keep stdout for the converted collection
+  console.warn('Input file: ', inputFile);
+
+  if (!fs.existsSync(inputFile)) {
+    console.error(`Could not read input file ${inputFile}: no such file or directory`);
+    process.exit(2);
+  }
+
+  if (watchFlag) {
+    if (!outputFile) {
+      console.error('Output file must be provided via --output option in watch mode');
+      process.exit(1);
+    }
+
+    watchSpec(inputFile);
+  }
+  else if (fs.statSync(inputFile).isDirectory()) {
+    // multi-file spec present in directory is converted via its bundled root file
+    bundleDirectory(inputFile, undefined, undefined, 'JSON')
+      .then(convert)
+      .catch((err) => {
+        console.error(err.message || err);
+        process.exit(1);
+      });
+  }
+  else {
+    // The last commit removed __dirname while reading inputFile
+    // this will fix https://github.com/postmanlabs/openapi-to-postman/issues/4
+    // inputFile should be read from the cwd, not the path of the executable
+    swaggerData = readInput(inputFile);
+    convert(swaggerData);
+  }
+}
+else if (collectionFile) {
+  if (collectionFile !== STDIN) {
+    console.warn('Input collection file: ', path.resolve(collectionFile));
+  }
+
+  convertCollection(readInput(collectionFile));
 }
 else {
   program.emit('--help');
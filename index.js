@@ -3,10 +3,47 @@
 const { MODULE_VERSION } = require('./lib/schemapack.js');
 
 const _ = require('lodash'),
+  v2 = require('./libV2/index'),
   SchemaPack = require('./lib/schemapack.js').SchemaPack,
   UserError = require('./lib/common/UserError'),
+  { ParseError } = require('./lib/common/ParseError'),
+  OpenApiErr = require('./lib/error'),
   DEFAULT_INVALID_ERROR = 'Provided definition is invalid';
 
+/**
+ * Runs callback based operation and provides its result as a Promise. Errors caused by the input are
+ * rejected as UserError (or ParseError), same as results marked unsuccessful (i.e. invalid definition).
+ *
+ * @param {Function} operation - Operation to run, receiving node style callback
+ * @returns {Promise} - Promise resolving with the result of operation
+ */
+function toPromise (operation) {
+  return new Promise((resolve, reject) => {
+    operation((err, result) => {
+      if (err instanceof OpenApiErr) {
+        return reject(new UserError(err.message, err.data));
+      }
+
+      if (err) {
+        return reject(err);
+      }
+
+      if (_.get(result, 'result') === false) {
+        const reason = _.get(result, 'reason', DEFAULT_INVALID_ERROR);
+
+        // reason of multi-file failures can be an error caused by parsing of files
+        if (reason instanceof UserError || reason instanceof ParseError) {
+          return reject(reason);
+        }
+
+        return reject(new UserError(_.get(reason, 'message', _.toString(reason)), result));
+      }
+
+      return resolve(result);
+    });
+  });
+}
+
 module.exports = {
   // Old API wrapping the new API
   convert: function(input, options, cb) {
@@ -28,6 +65,20 @@ module.exports = {
     return cb(new UserError(_.get(schema, 'validationResult.reason', DEFAULT_INVALID_ERROR)));
   },
 
+  syncCollectionV2: function(input, collection, options, cb) {
+    var schema = new SchemaPack(input, options, MODULE_VERSION.V2);
+
+    if (schema.validated) {
+      return schema.syncCollectionV2(collection, cb);
+    }
+
+    return cb(new UserError(_.get(schema, 'validationResult.reason', DEFAULT_INVALID_ERROR)));
+  },
+
+  convertCollectionToOpenAPI: function(input, options, cb) {
+    return v2.convertCollectionToOpenAPI(input, options || {}, cb);
+  },
+
   validate: function (input) {
     var schema = new SchemaPack(input);
     return schema.validationResult;
@@ -62,6 +113,83 @@ module.exports = {
     return schema.bundle();
   },
 
+  // Promise based API
+  convertAsync: function(input, options) {
+    return toPromise((cb) => { return module.exports.convert(input, options, cb); });
+  },
+
+  convertV2Async: function(input, options) {
+    return toPromise((cb) => { return module.exports.convertV2(input, options, cb); });
+  },
+
+  syncCollectionV2Async: function(input, collection, options) {
+    return toPromise((cb) => { return module.exports.syncCollectionV2(input, collection, options, cb); });
+  },
+
+  convertCollectionToOpenAPIAsync: function(input, options) {
+    return toPromise((cb) => { return module.exports.convertCollectionToOpenAPI(input, options, cb); });
+  },
+
+  validateAsync: function(input) {
+    return toPromise((cb) => { return cb(null, module.exports.validate(input)); });
+  },
+
+  getMetaDataAsync: function(input) {
+    return toPromise((cb) => { return module.exports.getMetaData(input, cb); });
+  },
+
+  mergeAndValidateAsync: function(input) {
+    return toPromise((cb) => { return module.exports.mergeAndValidate(input, cb); });
+  },
+
+  validateTransactionAsync: function(input, transactions, options) {
+    return toPromise((cb) => {
+      var schema = new SchemaPack(input, options);
+
+      if (!schema.validated) {
+        return cb(null, schema.validationResult);
+      }
+
+      return schema.validateTransaction(transactions, cb);
+    });
+  },
+
+  validateTransactionV2Async: function(input, transactions, options) {
+    return toPromise((cb) => {
+      var schema = new SchemaPack(input, options, MODULE_VERSION.V2);
+
+      if (!schema.validated) {
+        return cb(null, schema.validationResult);
+      }
+
+      return schema.validateTransactionV2(transactions, cb);
+    });
+  },
+
+  validateHARV2Async: function(input, har, options) {
+    return toPromise((cb) => {
+      var schema = new SchemaPack(input, options, MODULE_VERSION.V2);
+
+      if (!schema.validated) {
+        return cb(null, schema.validationResult);
+      }
+
+      return schema.validateHARV2(har, cb);
+    });
+  },
+
+  validateCollectionAsync: function(input, collection, options, validationOptions) {
+    return toPromise((cb) => {
+      var schema = new SchemaPack(input, options, MODULE_VERSION.V2);
+
+      if (!schema.validated) {
+        return cb(null, schema.validationResult);
+      }
+
+      return schema.validateCollection(collection, validationOptions, cb);
+    });
+  },
+
   // new API
   SchemaPack
 };
@@ -1,5 +1,6 @@
 const Ajv = require('ajv-draft-04'),
   UserError = require('./UserError'),
+  { getLogger } = require('./logger'),
   addFormats = require('ajv-formats'),
   openapi3Schema = require('../../assets/openapi3Schema.json'),
   swagger2Schema = require('../../assets/swagger2Schema.json'),
@@ -36,9 +37,10 @@ function constructErrorMessage (ajvError) {
  * @param {Object} definition - Parsed OAS definition
  * @param {string} definitionVersion - Corresponding Definition version
  * @param {*} error - Original Error object
+ * @param {Object} options - Computed options
  * @returns {*} - Generated Error object
  */
-function generateError (definition, definitionVersion, error) {
+function generateError (definition, definitionVersion, error, options) {
   let ajv = new Ajv({
       schemaId: 'auto',
       strict: false
@@ -47,7 +49,7 @@ function generateError (definition, definitionVersion, error) {
     valid = true;
 
   // Log original error for better obseravibility in case of User errors
-  console.error(error);
+  getLogger(options).error(error);
 
   addFormats(ajv);
 
@@ -10,6 +10,8 @@
  * https://github.com/ibm-maximo-dev/xml-js/blob/master/lib/js2xml.js
  */
 
+const { getLogger } = require('./logger');
+
 var currentElement, currentElementName;
 
 const DEFAULT_OPTIONS = {
@@ -437,7 +439,16 @@ function writeElementsCompact(element, options, depth, firstLine) {
   return xml.join('');
 }
 
-module.exports = function (js, indentChar) {
+/**
+ * Converts JSON data to XML string
+ *
+ * @param {*} js - JSON data to be converted
+ * @param {String} indentChar - Character used for indentation
+ * @param {Function} onError - Handles errors thrown while converting (i.e. logs them via injected logger),
+ *   errors are logged to console if not provided
+ * @returns {String} - XML string
+ */
+module.exports = function (js, indentChar, onError) {
   // If provided data is not JSON, return it as is. XML string could be already present as example.
   if (typeof js !== 'object') {
     return js;
@@ -464,7 +475,7 @@ module.exports = function (js, indentChar) {
     }
     return xml.join('');
   } catch (err) {
-    console.error(err);
+    typeof onError === 'function' ? onError(err) : getLogger().error(err);
 
     // Handle failures gracefully via returning the message inside body rather than failing entire collection
     return '<js2xmlError>Failed to generate XML data from provided Example.</js2xmlError>'
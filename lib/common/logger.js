@@ -0,0 +1,29 @@
+const _ = require('lodash'),
+  LOG_METHODS = ['warn', 'error'],
+  // console is accessed on every call, so that it can be replaced at runtime
+  DEFAULT_LOGGER = {
+    warn: (...args) => { return console.warn(...args); },
+    error: (...args) => { return console.error(...args); }
+  };
+
+/**
+ * Provides logger to be used for messages logged during conversion and validation.
+ * Logger can be injected via "logger" option as an object having "warn" and "error" methods (i.e. console),
+ * where methods not defined by the injected logger fall back to console.
+ *
+ * @param {Object} options - Computed options
+ * @returns {Object} - Logger having "warn" and "error" methods
+ */
+function getLogger (options) {
+  const logger = _.get(options, 'logger');
+
+  return _.reduce(LOG_METHODS, (result, method) => {
+    result[method] = _.isFunction(_.get(logger, method)) ? logger[method].bind(logger) : DEFAULT_LOGGER[method];
+
+    return result;
+  }, {});
+}
+
+module.exports = {
+  getLogger
+};
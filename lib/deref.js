@@ -1,6 +1,7 @@
 const _ = require('lodash'),
   mergeAllOf = require('json-schema-merge-allof'),
   { typesMap } = require('./common/schemaUtilsCommon'),
+  { getLogger } = require('./common/logger'),
   PARAMETER_SOURCE = {
     REQUEST: 'REQUEST',
     RESPONSE: 'RESPONSE'
@@ -101,6 +102,7 @@ module.exports = {
    * @param {*} options.stack counter which keeps a tab on nested schemas
    * @param {*} options.seenRef References that are repeated. Used to identify circular references.
    * @param {*} options.stackLimit Depth to which the schema should be resolved.
+   * @param {*} options.logger Logger injected via "logger" option, used to report schemas that can not be merged.
    * @returns {*} schema - schema that adheres to all individual schemas in schemaArr
    */
   resolveAllOf: function (schema, parameterSourceOption, components, {
@@ -109,7 +111,8 @@ module.exports = {
     stack = RESOLVE_REF_DEFAULTS.stack,
     seenRef = {},
     stackLimit = RESOLVE_REF_DEFAULTS.stackLimit,
-    analytics = {}
+    analytics = {},
+    logger
   }) {
 
     if (_.isEmpty(schema)) {
@@ -121,14 +124,16 @@ module.exports = {
     // Resolve schema excluding allOf keyword which will be further used to resolve entire schema along with allOf
     if (_.keys(schema).length > 1) {
       resolvedNonAllOfSchema = this.resolveRefs(_.omit(schema, 'allOf'), parameterSourceOption, components,
-        { stack, seenRef: _.cloneDeep(seenRef), resolveFor, resolveTo, stackLimit, isAllOf: true, analytics });
+        { stack, seenRef: _.cloneDeep(seenRef), resolveFor, resolveTo, stackLimit, isAllOf: true, analytics,
+          logger });
     }
 
     try {
       return mergeAllOf(_.assign(resolvedNonAllOfSchema, {
         allOf: _.map(schema.allOf, (schema) => {
           return this.resolveRefs(schema, parameterSourceOption, components,
-            { stack, seenRef: _.cloneDeep(seenRef), resolveFor, resolveTo, stackLimit, isAllOf: true, analytics });
+            { stack, seenRef: _.cloneDeep(seenRef), resolveFor, resolveTo, stackLimit, isAllOf: true, analytics,
+              logger });
         })
       }), {
         resolvers: {
@@ -143,7 +148,7 @@ module.exports = {
       });
     }
     catch (e) {
-      console.warn('Error while resolving allOf schema: ', e);
+      getLogger({ logger }).warn('Error while resolving allOf schema: ', e);
       return { value: '<Error: Could not resolve allOf schema' };
     }
   },
@@ -162,6 +167,7 @@ module.exports = {
    * @param {number} options.stackLimit Depth to which the schema should be resolved.
    * @param {Boolean} options.isAllOf
    * @param {object} options.analytics
+   * @param {object} options.logger Logger injected via "logger" option
     * @returns {*} schema satisfying JSON-schema-faker.
    */
 
@@ -172,7 +178,8 @@ module.exports = {
     seenRef = {},
     stackLimit = RESOLVE_REF_DEFAULTS.stackLimit,
     isAllOf = RESOLVE_REF_DEFAULTS.isAllOf,
-    analytics = {}
+    analytics = {},
+    logger
   }) {
     var resolvedSchema, prop, splitRef,
       ERR_TOO_MANY_LEVELS = '<Error: Too many levels of nesting to fake this schema>';
@@ -202,7 +209,8 @@ module.exports = {
           stack,
           seenRef: _.cloneDeep(seenRef),
           stackLimit,
-          analytics
+          analytics,
+          logger
         });
       }
       return { anyOf: _.map(schema.anyOf, (schemaElement) => {
@@ -218,7 +226,8 @@ module.exports = {
             stack,
             seenRef: _.cloneDeep(seenRef),
             stackLimit,
-            analytics
+            analytics,
+            logger
           });
       }) };
     }
@@ -231,7 +240,8 @@ module.exports = {
             stack,
             seenRef: _.cloneDeep(seenRef),
             stackLimit,
-            analytics
+            analytics,
+            logger
           });
       }
       return { oneOf: _.map(schema.oneOf, (schemaElement) => {
@@ -248,7 +258,8 @@ module.exports = {
             stack,
             seenRef: _.cloneDeep(seenRef),
             stackLimit,
-            analytics
+            analytics,
+            logger
           });
       }) };
     }
@@ -260,7 +271,8 @@ module.exports = {
           stack,
           seenRef: _.cloneDeep(seenRef),
           stackLimit,
-          analytics
+          analytics,
+          logger
         });
     }
     if (schema.$ref && _.isFunction(schema.$ref.split)) {
@@ -312,7 +324,8 @@ module.exports = {
             stack,
             seenRef: _.cloneDeep(seenRef),
             stackLimit,
-            analytics
+            analytics,
+            logger
           });
 
         return refResolvedSchema;
@@ -344,7 +357,8 @@ module.exports = {
                 stack,
                 seenRef: _.cloneDeep(seenRef),
                 stackLimit,
-                analytics
+                analytics,
+                logger
               });
           }
         }
@@ -385,7 +399,8 @@ module.exports = {
                   stack,
                   seenRef: _.cloneDeep(seenRef),
                   stackLimit,
-                  analytics
+                  analytics,
+                  logger
                 });
           }
         }
@@ -431,7 +446,8 @@ module.exports = {
           stack,
           seenRef: _.cloneDeep(seenRef),
           stackLimit,
-          analytics
+          analytics,
+          logger
         });
       return tempSchema;
     }
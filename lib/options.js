@@ -171,8 +171,10 @@ module.exports = {
         id: 'folderStrategy',
         type: 'enum',
         default: 'Paths',
-        availableOptions: ['Paths', 'Tags'],
-        description: 'Select whether to create folders according to the spec’s paths or tags.',
+        availableOptions: ['Paths', 'Tags', 'Tag groups'],
+        description: 'Select whether to create folders according to the spec’s paths or tags. ' +
+          'If “Tag groups” is selected, folders of tags are nested inside folders of tag groups defined via ' +
+          '"x-tagGroups" extension, and tags not belonging to any group are placed inside the "Other" folder.',
         external: true,
         usage: ['CONVERSION'],
         supportedIn: [VERSION20, VERSION30, VERSION31],
@@ -231,7 +233,7 @@ module.exports = {
         default: [],
         description: 'Specific properties (parts of a request/response pair) to ignore during validation.' +
           ' Must be sent as an array of strings. Valid inputs in the array: PATHVARIABLE, QUERYPARAM,' +
-          ' HEADER, BODY, RESPONSE_HEADER, RESPONSE_BODY',
+          ' HEADER, BODY, AUTH, RESPONSE, RESPONSE_HEADER, RESPONSE_BODY',
         external: true,
         usage: ['VALIDATION'],
         supportedIn: [VERSION30, VERSION31],
@@ -386,6 +388,282 @@ module.exports = {
         usage: ['CONVERSION'],
         supportedIn: [VERSION20, VERSION30, VERSION31],
         supportedModuleVersion: [MODULE_VERSION.V2, MODULE_VERSION.V1]
+      },
+      {
+        name: 'Include contract tests',
+        id: 'includeContractTests',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to add test scripts to generated requests that assert the documented status codes, ' +
+          'required response headers and JSON response body schema.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Enable request chaining',
+        id: 'enableRequestChaining',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to chain requests using response links defined in the specification. Test scripts ' +
+          'store the values of linked parameters as collection variables which are used by the linked requests.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include callbacks',
+        id: 'includeCallbacks',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to include callbacks of operations in the generated collection. Requests of the ' +
+          'callbacks are added to a "Callbacks of <method> <path>" folder placed next to the operation defining them.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Generate environments',
+        id: 'environmentGeneration',
+        type: 'enum',
+        default: 'None',
+        availableOptions: ['None', 'Servers', 'Server variables'],
+        description: 'Select whether to generate environments along with the collection. If “Servers” is ' +
+          'selected, an environment defining `baseUrl` and server variables is generated for each server. ' +
+          'If “Server variables” is selected, an environment is additionally generated for each `enum` value ' +
+          'of the server variables.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include polymorphic examples',
+        id: 'includePolymorphicExamples',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to generate an example for each variant of polymorphic (oneOf / anyOf) request and ' +
+          'response bodies. Variants are based on the discriminator mapping if defined, and the discriminator ' +
+          'property is set to the value identifying the variant.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Polymorphic examples limit',
+        id: 'polymorphicExamplesLimit',
+        type: 'integer',
+        default: 10,
+        description: 'Maximum number of examples generated for variants of a polymorphic body. ' +
+          'Only applicable when "includePolymorphicExamples" option is enabled.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include tags',
+        id: 'includeTags',
+        type: 'array',
+        default: [],
+        description: 'Operations tagged with any of the given tags are converted, other operations are ignored. ' +
+          'Must be sent as an array of tag names. All operations are converted if empty.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Exclude tags',
+        id: 'excludeTags',
+        type: 'array',
+        default: [],
+        description: 'Operations tagged with any of the given tags are ignored. Must be sent as an array of tag names.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include paths',
+        id: 'includePaths',
+        type: 'array',
+        default: [],
+        description: 'Only operations of paths matching any of the given glob patterns (i.e. "/pets/**") ' +
+          'are converted. ' +
+          '"*" matches a single path segment and "**" matches any number of segments. ' +
+          'All operations are converted if empty.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Exclude paths',
+        id: 'excludePaths',
+        type: 'array',
+        default: [],
+        description: 'Operations of paths matching any of the given glob patterns (i.e. "/admin/**") are ignored.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include methods',
+        id: 'includeMethods',
+        type: 'array',
+        default: [],
+        description: 'Only operations with any of the given HTTP methods are converted. ' +
+          'All operations are converted if empty.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Exclude methods',
+        id: 'excludeMethods',
+        type: 'array',
+        default: [],
+        description: 'Operations with any of the given HTTP methods are ignored.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include operationIds',
+        id: 'includeOperationIds',
+        type: 'array',
+        default: [],
+        description: 'Only operations with operationId matching any of the given glob patterns (i.e. "list*") ' +
+          'are converted. All operations are converted if empty.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Exclude operationIds',
+        id: 'excludeOperationIds',
+        type: 'array',
+        default: [],
+        description: 'Operations with operationId matching any of the given glob patterns are ignored.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Exclude internal operations',
+        id: 'excludeInternalOperations',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to ignore operations and paths marked with "x-internal: true".',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Request naming template',
+        id: 'requestNameTemplate',
+        type: 'string',
+        default: '',
+        description: 'Template used to name the requests, i.e. "{method} {path} - {summary}". ' +
+          'Supported placeholders are {method}, {path}, {url}, {summary}, {operationId}, {description} and {tag}. ' +
+          'Placeholder can define fallbacks separated by "|", i.e. "{summary|operationId|path}". ' +
+          'Requests are named according to "requestNameSource" option if template is empty ' +
+          'or resolves to nothing.',
+        external: true,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Folder naming template',
+        id: 'folderNameTemplate',
+        type: 'string',
+        default: '',
+        description: 'Template used to name the folders generated according to "folderStrategy" option, ' +
+          'i.e. "{name}". ' +
+          'Supported placeholders are {name} (tag or path segment), {path} and {description}. ' +
+          'Placeholder can define fallbacks separated by "|", i.e. "{description|name}".',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Deterministic IDs',
+        id: 'deterministicIds',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to derive IDs of generated collection, folders, requests, examples and environments ' +
+          'from their content (i.e. method and path of request) instead of generating random IDs. ' +
+          'Collection variables are also ordered by their key, so that same definition always produces ' +
+          'identical collection.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Include operation reference',
+        id: 'includeOperationReference',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to store reference to the operation (operationId and JSON pointer) as ' +
+          '"_openapiOperation" property of generated requests, so that syncCollectionV2() can match requests ' +
+          'of operations moved to other path. Such property is not part of the collection format and is not ' +
+          'preserved by Postman.',
+        external: true,
+        usage: ['CONVERSION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Report undocumented responses',
+        id: 'reportUndocumentedResponses',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to report responses with status codes or Content-Types not documented for the ' +
+          'operation as UNDOCUMENTED_STATUS_CODE and UNDOCUMENTED_CONTENT_TYPE mismatches, instead of ' +
+          'MISSING_IN_SCHEMA (only with "showMissingInSchemaErrors" option) and INVALID_TYPE mismatches.',
+        external: true,
+        usage: ['VALIDATION'],
+        supportedIn: [VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2]
+      },
+      {
+        name: 'Overlays',
+        id: 'overlays',
+        type: 'array',
+        default: [],
+        description: 'OpenAPI Overlay 1.0 documents (objects or YAML / JSON strings) applied to the specification ' +
+          'before conversion and validation. Overlays of this option are applied before the ones provided via ' +
+          '"overlays" property of the input.',
+        external: false,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2, MODULE_VERSION.V1]
+      },
+      {
+        name: 'Logger',
+        id: 'logger',
+        type: 'object',
+        default: null,
+        description: 'Object with "warn" and "error" methods (i.e. console) used to log messages during conversion ' +
+          'and validation instead of console, so that output can be controlled when embedding the converter.',
+        external: false,
+        usage: ['CONVERSION', 'VALIDATION'],
+        supportedIn: [VERSION20, VERSION30, VERSION31],
+        supportedModuleVersion: [MODULE_VERSION.V2, MODULE_VERSION.V1]
       }
     ];
 
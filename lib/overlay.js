@@ -0,0 +1,468 @@
+const _ = require('lodash'),
+  yaml = require('js-yaml'),
+  COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'],
+  // ordered by precedence, lowest first
+  LOGICAL_OPERATORS = ['||', '&&'],
+  ARRAY_INDEX_REGEX = /^-?\d+$/,
+  QUOTED_STRING_REGEX = /^(['"]).*\1$/;
+
+/**
+ * Finds index of closing bracket for bracket starting at given index, ignoring brackets present in quoted strings
+ *
+ * @param {String} expression - Expression to look into
+ * @param {Number} startIndex - Index of opening bracket
+ * @returns {Number} index of closing bracket, -1 if not found
+ */
+function findClosingBracket (expression, startIndex) {
+  let depth = 0,
+    quote = null;
+
+  for (let i = startIndex; i < expression.length; i++) {
+    const char = expression[i];
+
+    if (quote) {
+      (char === quote && expression[i - 1] !== '\\') && (quote = null);
+    }
+    else if (char === '\'' || char === '"') {
+      quote = char;
+    }
+    else if (char === '[' || char === '(') {
+      depth++;
+    }
+    else if (char === ']' || char === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parses quoted string literal of JSONPath expression
+ *
+ * @param {String} literal - Quoted string literal (i.e. 'name' or "name")
+ * @returns {String} unquoted value
+ */
+function unquote (literal) {
+  return literal.slice(1, -1).replace(/\\(['"\\])/g, '$1');
+}
+
+/**
+ * Parses JSONPath into list of segments to be evaluated. Supported syntax consists of root ($),
+ * child (.name / ['name']), wildcard (.* / [*]), array index ([0]), recursive descent (..)
+ * and filter ([?(@.name == 'value')]) selectors.
+ *
+ * @param {String} jsonPath - JSONPath expression
+ * @returns {Array} Segments of JSONPath
+ */
+function parseJsonPath (jsonPath) {
+  let segments = [],
+    i = 1;
+
+  if (!_.isString(jsonPath) || jsonPath[0] !== '$') {
+    throw new Error(`Invalid JSONPath "${jsonPath}", JSONPath must start with "$"`);
+  }
+
+  while (i < jsonPath.length) {
+    let recursive = false;
+
+    if (jsonPath.startsWith('..', i)) {
+      recursive = true;
+      i += 2;
+    }
+    else if (jsonPath[i] === '.') {
+      i += 1;
+    }
+    else if (jsonPath[i] !== '[') {
+      throw new Error(`Invalid JSONPath "${jsonPath}", unexpected character "${jsonPath[i]}" at ${i}`);
+    }
+
+    if (jsonPath[i] === '[') {
+      const closingIndex = findClosingBracket(jsonPath, i),
+        selector = _.trim(jsonPath.slice(i + 1, closingIndex));
+
+      if (closingIndex === -1) {
+        throw new Error(`Invalid JSONPath "${jsonPath}", missing closing bracket`);
+      }
+
+      if (selector === '*') {
+        segments.push({ type: 'wildcard', recursive });
+      }
+      else if (selector.startsWith('?')) {
+        segments.push({ type: 'filter', expression: _.trim(selector.slice(1)), recursive });
+      }
+      else if (ARRAY_INDEX_REGEX.test(selector)) {
+        segments.push({ type: 'index', index: parseInt(selector, 10), recursive });
+      }
+      else if (QUOTED_STRING_REGEX.test(selector)) {
+        segments.push({ type: 'child', name: unquote(selector), recursive });
+      }
+      else {
+        throw new Error(`Invalid JSONPath "${jsonPath}", unsupported selector "${selector}"`);
+      }
+
+      i = closingIndex + 1;
+    }
+    else {
+      const name = jsonPath.slice(i).match(/^[^.\[]*/)[0];
+
+      if (!name) {
+        throw new Error(`Invalid JSONPath "${jsonPath}", missing member name at ${i}`);
+      }
+
+      segments.push(name === '*' ? { type: 'wildcard', recursive } : { type: 'child', name, recursive });
+      i += name.length;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Gets all child nodes of given node
+ *
+ * @param {Object} node - Node containing value, parent and key
+ * @returns {Array} child nodes
+ */
+function getChildNodes (node) {
+  if (!_.isObject(node.value)) {
+    return [];
+  }
+
+  return _.map(_.keys(node.value), (key) => {
+    return { parent: node.value, key: _.isArray(node.value) ? _.toNumber(key) : key, value: node.value[key] };
+  });
+}
+
+/**
+ * Gets node along with all its descendant nodes
+ *
+ * @param {Object} node - Node containing value, parent and key
+ * @returns {Array} node and descendant nodes
+ */
+function getDescendantNodes (node) {
+  return _.concat([node], _.flatMap(getChildNodes(node), getDescendantNodes));
+}
+
+/**
+ * Resolves value of operand used in filter expression
+ *
+ * @param {String} operand - Operand, either relative path (@.name) or literal
+ * @param {*} value - Value of current node (@)
+ * @returns {Object} resolved operand containing whether it exists and its value
+ */
+function resolveOperand (operand, value) {
+  operand = _.trim(operand);
+
+  if (operand.startsWith('@')) {
+    let nodes = [{ value }];
+
+    _.forEach(parseJsonPath('$' + operand.slice(1)), (segment) => {
+      // eslint-disable-next-line no-use-before-define
+      nodes = evaluateSegment(nodes, segment);
+    });
+
+    return nodes.length ? { exists: true, value: nodes[0].value } : { exists: false };
+  }
+
+  if (QUOTED_STRING_REGEX.test(operand)) {
+    return { exists: true, value: unquote(operand) };
+  }
+
+  try {
+    return { exists: true, value: JSON.parse(operand) };
+  }
+  catch (e) {
+    throw new Error(`Invalid filter operand "${operand}"`);
+  }
+}
+
+/**
+ * Splits expression by given operator present outside of quoted strings and brackets
+ *
+ * @param {String} expression - Expression to split
+ * @param {String} operator - Operator to split by
+ * @returns {Array} parts of expression
+ */
+function splitExpression (expression, operator) {
+  let parts = [],
+    depth = 0,
+    quote = null,
+    lastIndex = 0;
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+
+    if (quote) {
+      (char === quote && expression[i - 1] !== '\\') && (quote = null);
+    }
+    else if (char === '\'' || char === '"') {
+      quote = char;
+    }
+    else if (char === '[' || char === '(') {
+      depth++;
+    }
+    else if (char === ']' || char === ')') {
+      depth--;
+    }
+    else if (depth === 0 && expression.startsWith(operator, i)) {
+      parts.push(expression.slice(lastIndex, i));
+      lastIndex = i + operator.length;
+      i += operator.length - 1;
+    }
+  }
+
+  parts.push(expression.slice(lastIndex));
+
+  return parts;
+}
+
+/**
+ * Evaluates filter expression against given value
+ *
+ * @param {String} expression - Filter expression (i.e. "(@.name == 'value')")
+ * @param {*} value - Value of current node (@)
+ * @returns {Boolean} whether value matches the filter
+ */
+function evaluateFilter (expression, value) {
+  let comparisonOperator,
+    operands;
+
+  expression = _.trim(expression);
+
+  while (expression.startsWith('(') && findClosingBracket(expression, 0) === expression.length - 1) {
+    expression = _.trim(expression.slice(1, -1));
+  }
+
+  for (const operator of LOGICAL_OPERATORS) {
+    const parts = splitExpression(expression, operator);
+
+    if (parts.length > 1) {
+      return operator === '&&' ? _.every(parts, (part) => { return evaluateFilter(part, value); }) :
+        _.some(parts, (part) => { return evaluateFilter(part, value); });
+    }
+  }
+
+  if (expression.startsWith('!')) {
+    return !evaluateFilter(expression.slice(1), value);
+  }
+
+  comparisonOperator = _.find(COMPARISON_OPERATORS, (operator) => {
+    return splitExpression(expression, operator).length === 2;
+  });
+
+  if (!comparisonOperator) {
+    return resolveOperand(expression, value).exists;
+  }
+
+  operands = _.map(splitExpression(expression, comparisonOperator), (operand) => {
+    return resolveOperand(operand, value);
+  });
+
+  if (!operands[0].exists || !operands[1].exists) {
+    return comparisonOperator === '!=';
+  }
+
+  switch (comparisonOperator) {
+    case '==':
+      return _.isEqual(operands[0].value, operands[1].value);
+    case '!=':
+      return !_.isEqual(operands[0].value, operands[1].value);
+    case '<=':
+      return operands[0].value <= operands[1].value;
+    case '>=':
+      return operands[0].value >= operands[1].value;
+    case '<':
+      return operands[0].value < operands[1].value;
+    default:
+      return operands[0].value > operands[1].value;
+  }
+}
+
+/**
+ * Evaluates single JSONPath segment for given nodes
+ *
+ * @param {Array} nodes - Nodes selected so far
+ * @param {Object} segment - JSONPath segment
+ * @returns {Array} selected nodes
+ */
+function evaluateSegment (nodes, segment) {
+  if (segment.recursive) {
+    nodes = _.flatMap(nodes, getDescendantNodes);
+  }
+
+  return _.flatMap(nodes, (node) => {
+    const value = node.value;
+
+    switch (segment.type) {
+      case 'child':
+        return _.isPlainObject(value) && _.has(value, segment.name) ?
+          [{ parent: value, key: segment.name, value: value[segment.name] }] : [];
+      case 'index': {
+        const index = segment.index < 0 && _.isArray(value) ? value.length + segment.index : segment.index;
+
+        return _.isArray(value) && index >= 0 && index < value.length ?
+          [{ parent: value, key: index, value: value[index] }] : [];
+      }
+      case 'wildcard':
+        return getChildNodes(node);
+      default:
+        return _.filter(getChildNodes(node), (childNode) => {
+          return evaluateFilter(segment.expression, childNode.value);
+        });
+    }
+  });
+}
+
+/**
+ * Selects nodes from the document that are targeted by given JSONPath
+ *
+ * @param {Object} document - Document to select nodes from
+ * @param {String} jsonPath - JSONPath expression
+ * @returns {Array} selected nodes, each containing value along with parent and key
+ */
+function selectNodes (document, jsonPath) {
+  let nodes = [{ parent: null, key: null, value: document }];
+
+  _.forEach(parseJsonPath(jsonPath), (segment) => {
+    nodes = evaluateSegment(nodes, segment);
+  });
+
+  return nodes;
+}
+
+/**
+ * Recursively merges update into the target object. Values other than objects are replaced.
+ *
+ * @param {Object} target - Target object
+ * @param {Object} update - Update to be merged
+ * @returns {Object} merged object
+ */
+function mergeUpdate (target, update) {
+  _.forOwn(update, (value, key) => {
+    if (_.isPlainObject(target[key]) && _.isPlainObject(value)) {
+      mergeUpdate(target[key], value);
+    }
+    else {
+      target[key] = _.cloneDeep(value);
+    }
+  });
+
+  return target;
+}
+
+/**
+ * Parses overlay document and checks whether it is a valid Overlay 1.0 document
+ *
+ * @param {Object|String} overlay - Overlay document, either object or JSON/YAML string
+ * @returns {Object} parsed overlay document
+ */
+function parseOverlay (overlay) {
+  if (_.isString(overlay)) {
+    try {
+      overlay = yaml.load(overlay);
+    }
+    catch (e) {
+      throw new Error(`Overlay could not be parsed: ${e.message}`);
+    }
+  }
+
+  if (!_.isPlainObject(overlay) || !_.isString(overlay.overlay)) {
+    throw new Error('Overlay must contain the "overlay" field specifying the version');
+  }
+
+  if (!_.isArray(overlay.actions)) {
+    throw new Error('Overlay must contain the "actions" array');
+  }
+
+  _.forEach(overlay.actions, (action, index) => {
+    if (!_.isPlainObject(action) || !_.isString(action.target)) {
+      throw new Error(`Action at index ${index} of overlay must contain the "target" field`);
+    }
+  });
+
+  return overlay;
+}
+
+/**
+ * Applies actions of overlay documents to the definition. Actions are applied in sequential order,
+ * where "update" is merged into objects, appended to arrays or replaces other values and "remove" removes
+ * targeted nodes.
+ *
+ * @param {Object} openapi - OpenAPI definition to apply overlays on, it is mutated
+ * @param {Array} overlays - Overlay documents, either objects or JSON/YAML strings
+ * @returns {Object} result containing definition and list of targets that matched nothing
+ */
+function applyOverlays (openapi, overlays) {
+  let unmatchedTargets = [];
+
+  _.forEach(_.castArray(overlays), (overlay, overlayIndex) => {
+    let parsedOverlay;
+
+    try {
+      parsedOverlay = parseOverlay(overlay);
+    }
+    catch (e) {
+      throw new Error(`Invalid overlay at index ${overlayIndex}: ${e.message}`);
+    }
+
+    _.forEach(parsedOverlay.actions, (action) => {
+      let nodes;
+
+      try {
+        nodes = selectNodes(openapi, action.target);
+      }
+      catch (e) {
+        throw new Error(`Invalid overlay at index ${overlayIndex}: ${e.message}`);
+      }
+
+      if (_.isEmpty(nodes)) {
+        unmatchedTargets.push({
+          overlay: _.get(parsedOverlay, 'info.title', overlayIndex),
+          target: action.target,
+          description: action.description
+        });
+        return;
+      }
+
+      if (action.remove === true) {
+        // remove array items in descending order so indexes of remaining items stay valid
+        _.forEach(_.orderBy(nodes, ['key'], ['desc']), (node) => {
+          if (_.isArray(node.parent)) {
+            node.parent.splice(node.key, 1);
+          }
+          else if (node.parent) {
+            delete node.parent[node.key];
+          }
+        });
+        return;
+      }
+
+      if (!_.has(action, 'update')) {
+        return;
+      }
+
+      _.forEach(nodes, (node) => {
+        if (_.isArray(node.value)) {
+          node.value.push(_.cloneDeep(action.update));
+        }
+        else if (_.isPlainObject(node.value) && _.isPlainObject(action.update)) {
+          mergeUpdate(node.value, action.update);
+        }
+        else if (node.parent) {
+          node.parent[node.key] = _.cloneDeep(action.update);
+        }
+      });
+    });
+  });
+
+  return { openapi, unmatchedTargets: _.map(unmatchedTargets, (target) => { return _.omitBy(target, _.isNil); }) };
+}
+
+module.exports = {
+  applyOverlays,
+  selectNodes
+};
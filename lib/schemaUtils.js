@@ -16,6 +16,7 @@ const { formatDataPath, checkIsCorrectType, isKnownType } = require('./common/sc
   openApiErr = require('./error.js'),
   ajvValidationError = require('./ajValidation/ajvValidationError'),
   utils = require('./utils.js'),
+  { getLogger } = require('./common/logger.js'),
   { Node, Trie } = require('./trie.js'),
   { validateSchema } = require('./ajValidation/ajvValidation'),
   inputValidation = require('./30XUtils/inputValidation'),
@@ -187,7 +188,8 @@ function safeSchemaFaker (oldSchema, resolveTo, resolveFor, parameterSourceOptio
     resolveFor,
     resolveTo,
     stackLimit: options.stackLimit,
-    analytics: _.get(schemaCache, 'analytics', {})
+    analytics: _.get(schemaCache, 'analytics', {}),
+    logger: options.logger
   });
 
   resolvedSchema = concreteUtils.fixExamplesByVersion(resolvedSchema);
@@ -241,7 +243,7 @@ function safeSchemaFaker (oldSchema, resolveTo, resolveFor, parameterSourceOptio
 
   try {
     if (schemaFormat === SCHEMA_FORMATS.XML) {
-      fakedSchema = xmlFaker(null, resolvedSchema, indentCharacter, resolveTo);
+      fakedSchema = xmlFaker(null, resolvedSchema, indentCharacter, resolveTo, getLogger(options).error);
       schemaFakerCache[key] = fakedSchema;
       return fakedSchema;
     }
@@ -251,7 +253,7 @@ function safeSchemaFaker (oldSchema, resolveTo, resolveFor, parameterSourceOptio
     return fakedSchema;
   }
   catch (e) {
-    console.warn(
+    getLogger(options).warn(
       'Error faking a schema. Not faking this schema. Schema:', resolvedSchema,
       'Error', e
     );
@@ -353,7 +355,7 @@ module.exports = {
     // Anything above the size of 8MB will be considered a big spec and given the
     // least stack limit and the highest complexity score.
     if (size >= 8) {
-      console.warn('Complexity score = 10');
+      getLogger(options).warn('Complexity score = 10');
       computedOptions.stackLimit = 2;
       computedOptions.complexityScore = 10;
       return computedOptions;
@@ -1612,7 +1614,7 @@ module.exports = {
         if (typeof bodyObj.schema === 'object') {
           bodySchemaWithExample = Object.assign({}, bodyObj.schema, { example: bodyData });
         }
-        bodyData = xmlFaker(null, bodySchemaWithExample, indentCharacter, resolveTo);
+        bodyData = xmlFaker(null, bodySchemaWithExample, indentCharacter, resolveTo, getLogger(options).error);
       }
     }
     else if (!_.isEmpty(bodyObj.examples) && (resolveTo === 'example' || !bodyObj.schema)) {
@@ -1626,7 +1628,7 @@ module.exports = {
         if (typeof bodyObj.schema === 'object') {
           bodySchemaWithExample = Object.assign({}, bodyObj.schema, { example: bodyData });
         }
-        bodyData = xmlFaker(null, bodySchemaWithExample, indentCharacter, resolveTo);
+        bodyData = xmlFaker(null, bodySchemaWithExample, indentCharacter, resolveTo, getLogger(options).error);
       }
     }
     else if (bodyObj.schema) {
@@ -2341,12 +2343,12 @@ module.exports = {
     // at this stage, savedSchema is [components, part1, parts]
     // must have min. 2 segments after "#/components"
     if (savedSchema.length < 3) {
-      console.warn(`ref ${$ref} not found.`);
+      getLogger(options).warn(`ref ${$ref} not found.`);
       return { value: `reference ${$ref} not found in the given specification` };
     }
 
     if (savedSchema[0] !== 'components' && savedSchema[0] !== 'paths') {
-      console.warn(`Error reading ${$ref}. Can only use references from components and paths`);
+      getLogger(options).warn(`Error reading ${$ref}. Can only use references from components and paths`);
       return { value: `Error reading ${$ref}. Can only use references from components and paths` };
     }
 
@@ -2355,7 +2357,7 @@ module.exports = {
     refObj = _.get(components, savedSchema);
 
     if (!refObj) {
-      console.warn(`ref ${$ref} not found.`);
+      getLogger(options).warn(`ref ${$ref} not found.`);
       return { value: `reference ${$ref} not found in the given specification` };
     }
 
@@ -2894,7 +2896,7 @@ module.exports = {
       }
     }
     catch (e) {
-      console.warn(
+      getLogger(options).warn(
         'Error decoding request URI endpoint. URI: ', url,
         'Error', e
       );
@@ -3351,7 +3353,8 @@ module.exports = {
       schema = deref.resolveRefs(openApiSchemaObj, parameterSourceOption, components, {
         resolveFor: PROCESSING_TYPE.VALIDATION,
         resolveTo: 'example',
-        stackLimit: options.stackLimit
+        stackLimit: options.stackLimit,
+        logger: options.logger
       }),
       compositeSchema = schema.oneOf || schema.anyOf;
 
@@ -3927,7 +3930,8 @@ module.exports = {
     // below will make sure for exploded params actual schema of property present in collection is present
     _.forEach(schemaParams, (param) => {
       let pathPrefix = param.pathPrefix,
-        paramSchema = deref.resolveRefs(_.cloneDeep(param.schema), PARAMETER_SOURCE.REQUEST, components, {}),
+        paramSchema = deref.resolveRefs(_.cloneDeep(param.schema), PARAMETER_SOURCE.REQUEST, components,
+          { logger: options.logger }),
         { style, explode } = this.getParamSerialisationInfo(param, PARAMETER_SOURCE.REQUEST, components),
         isPropSeparable = _.includes(['form', 'deepObject'], style);
 
@@ -4464,7 +4468,8 @@ module.exports = {
 
       urlencodedBodySchema = deref.resolveRefs(urlencodedBodySchema, PARAMETER_SOURCE.REQUEST, components, {
         resolveFor: PROCESSING_TYPE.VALIDATION,
-        stackLimit: options.stackLimit
+        stackLimit: options.stackLimit,
+        logger: options.logger
       });
 
       // resolve each property as separate param similar to query parmas
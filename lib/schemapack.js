@@ -27,6 +27,8 @@ const { getConcreteSchemaUtils } = require('./common/versionUtils.js'),
   v2 = require('../libV2/index'),
   { getServersPathVars } = require('./common/schemaUtilsCommon.js'),
   { generateError } = require('./common/generateValidationError.js'),
+  { applyOverlays } = require('./overlay.js'),
+  { getLogger } = require('./common/logger.js'),
   MODULE_VERSION = {
     V1: 'v1',
     V2: 'v2'
@@ -46,6 +48,7 @@ class SchemaPack {
     this.validated = false;
     this.openapi = null;
     this.validationResult = null;
+    this.overlayResult = null;
     this.definedOptions = getOptions({
       moduleVersion
     });
@@ -87,7 +90,8 @@ class SchemaPack {
       // We only convert if swagger is found otherwise this.openapi remains the same
       return convertToOAS30IfSwagger(getConcreteSchemaUtils(this.input), this.openapi, (err, convertedOpenAPI) => {
         if (err) {
-          const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err);
+          const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err,
+            this.computedOptions);
 
           return callback(error);
         }
@@ -101,7 +105,8 @@ class SchemaPack {
       });
     }
     catch (err) {
-      const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err);
+      const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err,
+        this.computedOptions);
 
       return callback(error);
     }
@@ -112,6 +117,7 @@ class SchemaPack {
     let input = this.input,
       json,
       specParseResult,
+      overlays,
       isFolder = this.input.type === 'folder';
 
     this.computedOptions = Object.assign({ isFolder }, this.computedOptions);
@@ -175,6 +181,33 @@ class SchemaPack {
     }
 
     this.openapi = specParseResult.openapi;
+
+    // overlays of options are applied before the ones provided via input
+    overlays = _.concat(this.computedOptions.overlays || [], input.overlays || []);
+
+    // apply overlays, definition provided as JSON is cloned to not mutate the input
+    if (!_.isEmpty(overlays)) {
+      try {
+        let overlayResult = applyOverlays(input.type === 'json' ? _.cloneDeep(this.openapi) : this.openapi,
+          overlays);
+
+        this.openapi = overlayResult.openapi;
+        this.overlayResult = { unmatchedTargets: overlayResult.unmatchedTargets };
+
+        _.forEach(overlayResult.unmatchedTargets, (unmatchedTarget) => {
+          getLogger(this.computedOptions)
+            .warn(`Overlay target "${unmatchedTarget.target}" did not match any nodes in the definition.`);
+        });
+      }
+      catch (e) {
+        this.validationResult = {
+          result: false,
+          reason: e.message
+        };
+        return this.validationResult;
+      }
+    }
+
     this.validated = true;
     this.validationResult = {
       result: true,
@@ -316,7 +349,8 @@ class SchemaPack {
       // We only convert if swagger is found otherwise this.openapi remains the same
       convertToOAS30IfSwagger(concreteUtils, this.openapi, (err, newOpenapi) => {
         if (err) {
-          const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err);
+          const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err,
+            this.computedOptions);
 
           return callback(error);
         }
@@ -414,7 +448,8 @@ class SchemaPack {
           }
         }
         catch (e) {
-          const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), e);
+          const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), e,
+            this.computedOptions);
 
           return callback(error);
         }
@@ -437,7 +472,8 @@ class SchemaPack {
       });
     }
     catch (err) {
-      const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err);
+      const error = generateError(this.openapi, _.get(this.validationResult, 'specificationVersion'), err,
+        this.computedOptions);
 
       return callback(error);
     }
@@ -689,6 +725,24 @@ class SchemaPack {
     }, 0);
   }
 
+  /**
+   * Updates previously generated collection according to current definition, while preserving
+   * scripts and examples added by user. Requests of removed operations are moved to "Obsolete" folder.
+   *
+   * @param {Object} collection - Previously generated Postman collection v2.1
+   * @param {Function} callback - Callback receiving synchronised collection and report of changes
+   * @returns {void}
+   */
+  syncCollectionV2 (collection, callback) {
+    return this.convertV2((err, conversionResult) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return v2.syncCollectionV2(this, collection, conversionResult.output[0].data, callback);
+    });
+  }
+
   /**
    *
    * @description Takes in a transaction object (meant to represent a Postman history object)
@@ -708,6 +762,48 @@ class SchemaPack {
     return v2.validateTransactionV2(this, transactions, callback);
   }
 
+  /**
+   * Validates requests and responses of HAR log (i.e. captured via browser or proxy) against the definition.
+   *
+   * @param {Object} input - Input containing HAR, with type one of file/json/string
+   * @param {Function} callback - Callback receiving validation result keyed by index of HAR entry
+   * @returns {void}
+   */
+  validateHARV2(input, callback) {
+    if (!this.validated) {
+      return callback(new OpenApiErr('The schema must be validated before attempting conversion'));
+    }
+
+    this.concreteUtils = concreteUtils;
+    this.specComponents = concreteUtils.getRequiredData(this.openapi);
+
+    return v2.validateHARV2(this, input, callback);
+  }
+
+  /**
+   * Validates requests and saved examples of Postman collection against the definition.
+   *
+   * @param {Object} collection - Postman collection v2.1
+   * @param {Object} [options] - Validation options, i.e. environment used for variable substitution
+   * @param {Function} callback - Callback receiving validation result keyed by item path
+   * @returns {void}
+   */
+  validateCollection(collection, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+
+    if (!this.validated) {
+      return callback(new OpenApiErr('The schema must be validated before attempting conversion'));
+    }
+
+    this.concreteUtils = concreteUtils;
+    this.specComponents = concreteUtils.getRequiredData(this.openapi);
+
+    return v2.validateCollection(this, collection, options || {}, callback);
+  }
+
   static getOptions(mode, criteria) {
     return getOptions(mode, criteria);
   }
@@ -77,6 +77,22 @@ module.exports = {
               retVal[id] = defaultOptions[id].default;
             }
             break;
+          case 'string':
+            if (_.isString(userOptions[id])) {
+              retVal[id] = userOptions[id];
+            }
+            else {
+              retVal[id] = defaultOptions[id].default;
+            }
+            break;
+          case 'object':
+            if (_.isObject(userOptions[id])) {
+              retVal[id] = userOptions[id];
+            }
+            else {
+              retVal[id] = defaultOptions[id].default;
+            }
+            break;
 
           default:
             retVal[id] = defaultOptions[id].default;
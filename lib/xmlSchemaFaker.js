@@ -9,7 +9,7 @@ function indentContent (content, initialIndent) {
   return indentedContent;
 }
 
-function convertSchemaToXML(name, schema, attribute, indentChar, indent, resolveTo) {
+function convertSchemaToXML(name, schema, attribute, indentChar, indent, resolveTo, onError) {
   var tagPrefix = '',
     cIndent = _.times(indent, _.constant(indentChar)).join(''),
     retVal = '';
@@ -60,7 +60,7 @@ function convertSchemaToXML(name, schema, attribute, indentChar, indent, resolve
     }
     else if (resolveTo === 'example' && typeof schemaExample === 'object') {
       const elementName = _.get(schema, 'items.xml.name', name || 'element'),
-        fakedContent = js2xml({ [elementName]: schemaExample }, indentChar);
+        fakedContent = js2xml({ [elementName]: schemaExample }, indentChar, onError);
 
       retVal = '\n' + indentContent(fakedContent, cIndent);
     }
@@ -77,7 +77,8 @@ function convertSchemaToXML(name, schema, attribute, indentChar, indent, resolve
         retVal += ` xmlns${formattedTagPrefix}="${schema.xml.namespace}"`
       }
       _.forOwn(schema.properties, (value, key) => {
-        propVal = convertSchemaToXML(key, value, _.get(value, 'xml.attribute'), indentChar, indent + 1, resolveTo);
+        propVal = convertSchemaToXML(key, value, _.get(value, 'xml.attribute'), indentChar, indent + 1, resolveTo,
+          onError);
         if (_.get(value, 'xml.attribute')) {
           attributes.push(`${key}="${propVal}"`);
         }
@@ -108,13 +109,13 @@ function convertSchemaToXML(name, schema, attribute, indentChar, indent, resolve
       return '\n' + schemaExample;
     }
     else if (resolveTo === 'example' && typeof schemaExample === 'object') {
-      const fakedContent = js2xml({ [arrayElemName]: schemaExample }, indentChar);
+      const fakedContent = js2xml({ [arrayElemName]: schemaExample }, indentChar, onError);
 
       contents = '\n' + indentContent(fakedContent, cIndent);
     }
     else {
       let singleElementContent = convertSchemaToXML(arrayElemName, schemaItemsWithXmlProps, false, indentChar,
-        indent + extraIndent, resolveTo);
+        indent + extraIndent, resolveTo, onError);
 
       // Atleast 2 items per array will be added asame as JSON schema faker
       contents = singleElementContent + singleElementContent;
@@ -130,9 +131,9 @@ function convertSchemaToXML(name, schema, attribute, indentChar, indent, resolve
   return retVal;
 }
 
-module.exports = function(name, schema, indentCharacter, resolveTo) {
+module.exports = function(name, schema, indentCharacter, resolveTo, onError) {
   // substring(1) to trim the leading newline
-  return convertSchemaToXML(name, schema, false, indentCharacter, 0, resolveTo).substring(1);
+  return convertSchemaToXML(name, schema, false, indentCharacter, 0, resolveTo, onError).substring(1);
 };
 /*
 a = convertSchemaToXML('Person',{
@@ -0,0 +1,103 @@
+const _ = require('lodash'),
+  { generateDeterministicId } = require('../../utils'),
+
+  /**
+   * Provides seed identifying request via its method and URL path. Query parameters are not part of seed,
+   * so that ID of request remains same when parameters of operation change.
+   *
+   * @param {Object} request - Request object of item
+   * @returns {String} - seed of request
+   */
+  _getRequestSeed = function (request) {
+    const url = _.get(request, 'url'),
+      urlPath = _.isString(url) ? _.head(url.split('?')) :
+        _.compact(_.concat(_.castArray(_.get(url, 'host', [])).join('.'), _.get(url, 'path', []))).join('/');
+
+    return `request:${_.toUpper(_.get(request, 'method', 'GET'))} ${urlPath}`;
+  };
+
+/**
+ * Replaces randomly generated IDs of collection items, examples, scripts and environments with IDs
+ * derived from their content, so that same definition always produces identical output.
+ * Collection variables are also ordered by their key.
+ *
+ * @param {Object} collection - Generated collection
+ * @param {Array} environments - Generated environments
+ * @returns {void}
+ */
+module.exports = function (collection, environments) {
+  const namespace = _.get(collection, 'info.name', ''),
+    usedSeeds = {},
+
+    /**
+     * Generates ID for seed, where repeated seeds are differentiated via their occurrence.
+     *
+     * @param {String} seed - Seed identifying the entity
+     * @returns {String} - generated ID
+     */
+    getId = (seed) => {
+      usedSeeds[seed] = (usedSeeds[seed] || 0) + 1;
+
+      return generateDeterministicId(`${namespace}:${seed}` +
+        (usedSeeds[seed] > 1 ? `#${usedSeeds[seed]}` : ''));
+    },
+
+    /**
+     * Assigns IDs to events of item
+     *
+     * @param {Array} events - Events of collection or item
+     * @param {String} seed - Seed of owner of events
+     * @returns {void}
+     */
+    assignEventIds = (events, seed) => {
+      _.forEach(events, (event) => {
+        if (_.has(event, 'script.id')) {
+          event.script.id = getId(`${seed}:event:${event.listen}`);
+        }
+      });
+    },
+
+    /**
+     * Assigns IDs to items recursively
+     *
+     * @param {Array} items - Collection items
+     * @param {Array} folderPath - Names of parent folders
+     * @returns {void}
+     */
+    assignItemIds = (items, folderPath) => {
+      _.forEach(items, (item) => {
+        let seed;
+
+        if (_.isArray(item.item)) {
+          seed = `folder:${_.concat(folderPath, item.name).join('/')}`;
+
+          _.has(item, 'id') && (item.id = getId(seed));
+          assignEventIds(item.event, seed);
+
+          return assignItemIds(item.item, _.concat(folderPath, item.name));
+        }
+
+        seed = _getRequestSeed(item.request);
+        item.id = getId(seed);
+        seed = `${seed}#${usedSeeds[seed]}`;
+
+        assignEventIds(item.event, seed);
+        _.forEach(item.response, (response) => {
+          _.has(response, 'id') && (response.id = getId(`${seed}:response:${response.code} ${response.name}`));
+        });
+      });
+    };
+
+  if (_.has(collection, 'info._postman_id')) {
+    collection.info._postman_id = getId('collection');
+  }
+
+  assignEventIds(collection.event, 'collection');
+  assignItemIds(collection.item, []);
+
+  collection.variable = _.sortBy(collection.variable, 'key');
+
+  _.forEach(environments, (environment) => {
+    _.has(environment, 'id') && (environment.id = getId(`environment:${environment.name}`));
+  });
+};
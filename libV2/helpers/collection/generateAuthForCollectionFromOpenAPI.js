@@ -153,6 +153,32 @@ module.exports = function (openapi, securitySet) {
       }
     }
 
+    /**
+     * Postman auth can not discover the endpoints from OpenID Connect discovery URL, hence OAuth2 auth
+     * using collection variables is generated. Discovery URL is available as collection variable as well.
+     */
+    else if (securityDef.type === 'openIdConnect') {
+      helper = {
+        type: 'oauth2',
+        oauth2: [
+          { key: 'clientId', value: '{{oidcClientId}}' },
+          { key: 'clientSecret', value: '{{oidcClientSecret}}' },
+          { key: 'scope', value: '{{oidcScope}}' },
+          { key: 'grant_type', value: FLOW_TYPE.authorizationCode }
+        ]
+      };
+    }
+
+    /**
+     * Postman apikey auth can not be sent as cookie, so such API keys are added in Cookie header of requests
+     * and no auth is to be used for them.
+     */
+    else if (securityDef.type === 'apiKey' && securityDef.in === 'cookie') {
+      helper = {
+        type: 'noauth'
+      };
+    }
+
     else if (securityDef.type === 'apiKey') {
       helper = {
         type: 'apikey',
@@ -1,5 +1,6 @@
 const _ = require('lodash'),
   utils = require('../../utils'),
+  { getLogger } = require('../../../lib/common/logger'),
   generateAuthrForCollectionFromOpenAPI = require('./generateAuthForCollectionFromOpenAPI'),
 
   /**
@@ -76,10 +77,68 @@ const _ = require('lodash'),
     });
 
     return collectionVariables;
+  },
+
+  /**
+   * Resolves collection variables and description of security schemes that can not be
+   * completely represented by collection auth (i.e. openIdConnect and mutualTLS)
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @returns {Object} collection variables and description of such security schemes
+   */
+  resolveAdditionalSecurityInfo = (context) => {
+    const { openapi } = context;
+
+    let collectionVariables = [],
+      descriptions = [];
+
+    _.forOwn(openapi.securityDefs, (securityDef, name) => {
+      if (_.get(securityDef, 'type') === 'openIdConnect') {
+        // scopes for OpenID Connect are defined by security requirements
+        const scopes = _.uniq(_.flatMap(openapi.security, (security) => {
+          return _.isArray(_.get(security, name)) ? security[name] : [];
+        }));
+
+        if (_.isEmpty(collectionVariables)) {
+          collectionVariables.push(
+            { key: 'openIdConnectUrl', value: _.isString(securityDef.openIdConnectUrl) ?
+              securityDef.openIdConnectUrl : '' },
+            { key: 'oidcClientId', value: '' },
+            { key: 'oidcClientSecret', value: '' },
+            { key: 'oidcScope', value: _.isEmpty(scopes) ? 'openid' : scopes.join(' ') }
+          );
+        }
+
+        descriptions.push(`- ${name}: OpenID Connect. Authorization and token URLs can be discovered from ` +
+          `${securityDef.openIdConnectUrl || '{{openIdConnectUrl}}'}`);
+      }
+      else if (_.get(securityDef, 'type') === 'mutualTLS') {
+        const message = `Security scheme "${name}" requires mutual TLS, client certificates for the API ` +
+          'host need to be configured to send requests.';
+
+        getLogger(context.computedOptions).warn(message);
+        utils.addDiagnostic(context, {
+          code: 'UNSUPPORTED_FEATURE',
+          message,
+          jsonPointer: utils.getJsonPointer(['components', 'securitySchemes', name])
+        });
+
+        descriptions.push(`- ${name}: Mutual TLS. A client certificate for the API host is required ` +
+          'to send requests.' + (_.isString(securityDef.description) ? ` ${securityDef.description}` : ''));
+      }
+    });
+
+    return {
+      collectionVariables,
+      description: _.isEmpty(descriptions) ? '' : 'Authentication:\n' + descriptions.join('\n')
+    };
   };
 
 
-module.exports = function ({ openapi }) {
+module.exports = function (context) {
+  let openapi = context.openapi,
+    description;
+
   openapi.servers = _.isEmpty(openapi.servers) ? [{ url: '/' }] : openapi.servers;
 
   // @todo: @sujay to check for better handling of securty schemes.
@@ -91,13 +150,22 @@ module.exports = function ({ openapi }) {
   // Fix {scheme} and {path} vars in the URL to :scheme and :path
   openapi.baseUrl = fixPathVariablesInUrl(_.get(openapi, 'servers.0.url', '{{baseURL}}'));
 
-  const collectionVariables = resolveCollectionVariablesForBaseUrlFromServersObject(_.get(openapi, 'servers.0'));
+  const collectionVariables = resolveCollectionVariablesForBaseUrlFromServersObject(_.get(openapi, 'servers.0')),
+    securityInfo = resolveAdditionalSecurityInfo(context);
+
+  description = getCollectionDescription(openapi);
+
+  collectionVariables.push(...securityInfo.collectionVariables);
+
+  if (securityInfo.description) {
+    description += (description === '' ? '' : '\n\n') + securityInfo.description;
+  }
 
   return {
     data: {
       info: {
         name: utils.getCollectionName(_.get(openapi, 'info.title')),
-        description: getCollectionDescription(openapi)
+        description
       },
       auth: generateAuthrForCollectionFromOpenAPI(openapi, openapi.security)
     },
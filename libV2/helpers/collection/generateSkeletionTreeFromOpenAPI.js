@@ -1,7 +1,13 @@
 let _ = require('lodash'),
   Graph = require('graphlib').Graph,
+  { isOperationIncluded, isTagIncluded, hasOperationFilters } = require('../../utils'),
 
   PATH_WEBHOOK = 'path~webhook',
+  PATH_CALLBACK = 'path~callback',
+  UNGROUPED_TAGS_FOLDER = 'Other',
+
+  // differs from IDs of tag group folders ("path:tagGroup:<name>"), so that a tag group named "Other" is kept separate
+  UNGROUPED_TAGS_FOLDER_ID = 'path~tagGroup~ungrouped',
   ALLOWED_HTTP_METHODS = {
     get: true,
     head: true,
@@ -15,11 +21,12 @@ let _ = require('lodash'),
   },
 
 
-  _generateTreeFromPathsV2 = function (openapi, { includeDeprecated }) {
+  _generateTreeFromPathsV2 = function (openapi, options) {
     /**
      * We will create a unidirectional graph
      */
-    let tree = new Graph();
+    let tree = new Graph(),
+      { includeDeprecated } = options;
 
     tree.setNode('root:collection', {
       type: 'collection',
@@ -64,6 +71,10 @@ let _ = require('lodash'),
             return;
           }
 
+          if (!isOperationIncluded(data, completePath, method, options, methods)) {
+            return;
+          }
+
           if (!tree.hasNode(`path:folder:${pathSplit[0]}`)) {
             tree.setNode(`path:folder:${pathSplit[0]}`, {
               type: 'folder',
@@ -93,13 +104,21 @@ let _ = require('lodash'),
       }
 
       else {
+        let methods = openapi.paths[completePath];
+
+        // folders of path are only created if it contains any operation to be converted
+        if (!_.some(methods, function (data, method) {
+          return ALLOWED_HTTP_METHODS[method] && (includeDeprecated || !data.deprecated) &&
+            isOperationIncluded(data, completePath, method, options, methods);
+        })) {
+          return;
+        }
+
         _.forEach(pathSplit, function (path, index) {
           let previousPathIdentified = pathSplit.slice(0, index).join('/'),
             pathIdentifier = pathSplit.slice(0, index + 1).join('/');
 
           if ((index + 1) === pathSplit.length) {
-            let methods = openapi.paths[completePath];
-
             _.forEach(methods, function (data, method) {
               if (!ALLOWED_HTTP_METHODS[method]) {
                 return;
@@ -113,6 +132,10 @@ let _ = require('lodash'),
                 return;
               }
 
+              if (!isOperationIncluded(data, completePath, method, options, methods)) {
+                return;
+              }
+
               /**
                * If it is the last node,
                * it might happen that this exists as a folder.
@@ -318,8 +341,9 @@ let _ = require('lodash'),
   //   return tree;
   // },
 
-  _generateTreeFromTags = function (openapi, { includeDeprecated }) {
+  _generateTreeFromTags = function (openapi, options) {
     let tree = new Graph(),
+      { includeDeprecated } = options,
 
       tagDescMap = _.reduce(openapi.tags, function (acc, data) {
         acc[data.name] = data.description;
@@ -337,7 +361,7 @@ let _ = require('lodash'),
      * Create folders for all the tags present.
      */
     _.forEach(tagDescMap, function (desc, tag) {
-      if (tree.hasNode(`path:${tag}`)) {
+      if (tree.hasNode(`path:${tag}`) || !isTagIncluded(tag, options)) {
         return;
       }
 
@@ -371,12 +395,21 @@ let _ = require('lodash'),
           return;
         }
 
+        if (!isOperationIncluded(data, path, method, options, methods)) {
+          return;
+        }
+
         /**
          * For all the tags present. Make that request to be
          * referenced in all the folder which are applicable.
          */
         if (data.tags && data.tags.length > 0) {
           _.forEach(data.tags, function (tag) {
+            // request is only added to folders of tags that are not filtered out
+            if (!isTagIncluded(tag, options)) {
+              return;
+            }
+
             tree.setNode(`path:${tag}:${path}:${method}`, {
               type: 'request',
               data: {},
@@ -421,6 +454,100 @@ let _ = require('lodash'),
       });
     });
 
+    // remove folders of tags that contain no requests after filtering operations
+    if (hasOperationFilters(options)) {
+      _.forEach(tree.successors('root:collection'), (nodeId) => {
+        if (tree.node(nodeId).type === 'folder' && _.isEmpty(tree.successors(nodeId))) {
+          tree.removeNode(nodeId);
+        }
+      });
+    }
+
+    return tree;
+  },
+
+  /**
+   * Generates tree where folders of tags are nested inside folders of tag groups defined via
+   * "x-tagGroups" extension. Tags not belonging to any group are placed inside fallback folder.
+   *
+   * @param {Object} openapi - openapi schema
+   * @param {Object} options - computed options
+   * @returns {Object} - tree format
+   */
+  _generateTreeFromTagGroups = function (openapi, options) {
+    let tree = _generateTreeFromTags(openapi, options),
+      tagGroups = _.filter(openapi['x-tagGroups'], (tagGroup) => {
+        return _.isString(_.get(tagGroup, 'name')) && _.isArray(tagGroup.tags);
+      }),
+      rootItems = tree.successors('root:collection'),
+      groupedTags = {};
+
+    if (_.isEmpty(tagGroups)) {
+      return tree;
+    }
+
+    // detach all root items so that they can be re-attached in order of tag groups
+    _.forEach(rootItems, (nodeId) => {
+      tree.removeEdge('root:collection', nodeId);
+    });
+
+    _.forEach(tagGroups, function (tagGroup) {
+      const groupFolderId = `path:tagGroup:${tagGroup.name}`;
+
+      _.forEach(tagGroup.tags, function (tag) {
+        // a tag can only be placed in a single group, first group defining it takes precedence
+        if (groupedTags[tag] || !_.includes(rootItems, `path:${tag}`)) {
+          return;
+        }
+
+        if (!tree.hasNode(groupFolderId)) {
+          tree.setNode(groupFolderId, {
+            type: 'folder',
+            meta: {
+              path: '',
+              name: tagGroup.name,
+              description: _.get(tagGroup, 'description', '')
+            },
+            data: {}
+          });
+
+          tree.setEdge('root:collection', groupFolderId);
+        }
+
+        groupedTags[tag] = true;
+        tree.setEdge(groupFolderId, `path:${tag}`);
+      });
+    });
+
+    _.forEach(rootItems, function (nodeId) {
+      const node = tree.node(nodeId);
+
+      if (node.type !== 'folder') {
+        tree.setEdge('root:collection', nodeId);
+        return;
+      }
+
+      if (groupedTags[node.meta.name]) {
+        return;
+      }
+
+      if (!tree.hasNode(UNGROUPED_TAGS_FOLDER_ID)) {
+        tree.setNode(UNGROUPED_TAGS_FOLDER_ID, {
+          type: 'folder',
+          meta: {
+            path: '',
+            name: UNGROUPED_TAGS_FOLDER,
+            description: ''
+          },
+          data: {}
+        });
+
+        tree.setEdge('root:collection', UNGROUPED_TAGS_FOLDER_ID);
+      }
+
+      tree.setEdge(UNGROUPED_TAGS_FOLDER_ID, nodeId);
+    });
+
     return tree;
   },
 
@@ -459,6 +586,83 @@ let _ = require('lodash'),
       });
     });
 
+    return tree;
+  },
+
+  /**
+   * Resolves local reference defined in the openapi (i.e. #/components/callbacks/onEvent)
+   *
+   * @param {Object} openapi - openapi schema
+   * @param {Object} object - Object that can be a reference
+   * @returns {Object} - Resolved object
+   */
+  _resolveLocalRef = function (openapi, object) {
+    if (!_.isString(_.get(object, '$ref')) || !_.startsWith(object.$ref, '#/')) {
+      return object;
+    }
+
+    return _.get(openapi, _.map(object.$ref.split('/').slice(1), (elem) => {
+      return decodeURIComponent(elem.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }));
+  },
+
+  _generateCallbackEndpoints = function (openapi, tree, { includeDeprecated }) {
+    // callbacks are added for all requests generated from the operations
+    const requestNodes = _.filter(tree.nodes(), (nodeId) => {
+      return _.get(tree.node(nodeId), 'type') === 'request';
+    });
+
+    _.forEach(requestNodes, function (requestNodeId) {
+      let { path, method } = tree.node(requestNodeId).meta,
+        callbacks = _.get(openapi, ['paths', path, method, 'callbacks']),
+        parent = _.head(tree.predecessors(requestNodeId)),
+        callbackFolderId = `${PATH_CALLBACK}:folder:${requestNodeId}`;
+
+      _.forEach(callbacks, function (callback, callbackName) {
+        _.forEach(_resolveLocalRef(openapi, callback), function (pathItem, expression) {
+          _.forEach(_resolveLocalRef(openapi, pathItem), function (data, callbackMethod) {
+            if (!ALLOWED_HTTP_METHODS[callbackMethod]) {
+              return;
+            }
+
+            /**
+             * include deprecated handling.
+             * If true, add in the postman collection. If false ignore the request.
+             */
+            if (!includeDeprecated && data.deprecated) {
+              return;
+            }
+
+            /**
+             * Callbacks folder is added alongside the request of owning operation. Folder is named after the
+             * operation as several operations of the same parent folder can define callbacks.
+             */
+            if (!tree.hasNode(callbackFolderId)) {
+              tree.setNode(callbackFolderId, {
+                type: 'callback~folder',
+                meta: {
+                  path: path,
+                  name: `Callbacks of ${method.toUpperCase()} ${path}`,
+                  description: `Callbacks of ${method.toUpperCase()} ${path}`
+                },
+                data: {}
+              });
+
+              tree.setEdge(parent, callbackFolderId);
+            }
+
+            tree.setNode(`${callbackFolderId}:${callbackName}:${expression}:${callbackMethod}`, {
+              type: 'callback~request',
+              meta: { path, method, callbackName, expression, callbackMethod },
+              data: {}
+            });
+
+            tree.setEdge(callbackFolderId, `${callbackFolderId}:${callbackName}:${expression}:${callbackMethod}`);
+          });
+        });
+      });
+    });
+
     return tree;
   };
 
@@ -466,26 +670,35 @@ let _ = require('lodash'),
  * Used to generate a tree skeleton for the openapi which will be a collection
  *
  * @param  {Object} openapi - openapi schema paths in question
- * @param  {String} stratergy='PATHS'
+ * @param  {Object} options - computed options containing folder strategy and operation filters
  *
  * @returns {Object} - tree format
  */
-module.exports = function (openapi, { folderStrategy, includeWebhooks, includeDeprecated }) {
+module.exports = function (openapi, options) {
+  const { folderStrategy, includeWebhooks, includeCallbacks, includeDeprecated } = options;
   let skeletonTree;
 
   switch (folderStrategy) {
     case 'tags':
-      skeletonTree = _generateTreeFromTags(openapi, { includeDeprecated });
+      skeletonTree = _generateTreeFromTags(openapi, options);
       break;
 
     case 'paths':
-      skeletonTree = _generateTreeFromPathsV2(openapi, { includeDeprecated });
+      skeletonTree = _generateTreeFromPathsV2(openapi, options);
+      break;
+
+    case 'tag groups':
+      skeletonTree = _generateTreeFromTagGroups(openapi, options);
       break;
 
     default:
       throw new Error('generateSkeletonTreeFromOpenAPI~folderStrategy not valid');
   }
 
+  if (includeCallbacks) {
+    skeletonTree = _generateCallbackEndpoints(openapi, skeletonTree, { includeDeprecated });
+  }
+
   if (includeWebhooks) {
     skeletonTree = _generateWebhookEndpoints(openapi, skeletonTree, { includeDeprecated });
   }
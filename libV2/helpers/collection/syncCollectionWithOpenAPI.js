@@ -0,0 +1,372 @@
+const _ = require('lodash'),
+  sdk = require('postman-collection'),
+  { findMatchingRequestFromSchema } = require('../../requestMatchingUtils'),
+  { getJsonPointer } = require('../../utils'),
+
+  OBSOLETE_FOLDER = 'Obsolete',
+  OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'],
+
+  /**
+   * Provides string representation of request URL usable for matching request against definition.
+   *
+   * @param {Object|String} url - Request URL
+   * @returns {String} - URL string
+   */
+  _getUrlString = function (url) {
+    if (_.isString(url) || _.isNil(url)) {
+      return url || '';
+    }
+
+    url = _.cloneDeep(url);
+
+    // SDK.Url.toString() resolves path variable to empty string if value is empty
+    _.forEach(url.variable, (pathVar) => {
+      if (_.isNil(pathVar.value) || (_.isString(pathVar.value) && _.isEmpty(_.trim(pathVar.value)))) {
+        pathVar.value = ':' + pathVar.key;
+      }
+    });
+
+    return new sdk.Url(url).toString();
+  },
+
+  /**
+   * Unescapes segment of JSON pointer.
+   *
+   * @param {String} segment - Escaped segment
+   * @returns {String} - Unescaped segment
+   */
+  _unescapePointerSegment = function (segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+  },
+
+  /**
+   * Resolves local $ref of definition (i.e. callbacks defined under components).
+   *
+   * @param {Object} schema - Definition
+   * @param {Object} value - Value possibly containing $ref
+   * @returns {Object} - Resolved value
+   */
+  _resolveRef = function (schema, value) {
+    const ref = _.get(value, '$ref');
+
+    if (!_.isString(ref) || !_.startsWith(ref, '#/')) {
+      return value;
+    }
+
+    return _.get(schema, _.map(_.split(ref.slice(2), '/'), _unescapePointerSegment));
+  },
+
+  /**
+   * Provides operation present at given segments of definition, where $refs along the way are resolved.
+   *
+   * @param {Object} schema - Definition
+   * @param {Array} segments - Segments leading to the operation
+   * @returns {Object} - Operation, undefined if not present
+   */
+  _getOperation = function (schema, segments) {
+    return _.reduce(segments, (value, segment) => {
+      return _.get(_resolveRef(schema, value), segment);
+    }, schema);
+  },
+
+  /**
+   * Finds segments leading to operation with given operationId. Operations of paths, webhooks and
+   * callbacks of path operations are looked up.
+   *
+   * @param {Object} schema - Definition
+   * @param {String} operationId - operationId to look up
+   * @returns {Array} - Segments leading to the operation, undefined if not found
+   */
+  _findOperationSegments = function (schema, operationId) {
+    let found;
+
+    const findInPathItems = (pathItems, parentSegments) => {
+      _.forEach(pathItems, (pathItem, pathName) => {
+        pathItem = _resolveRef(schema, pathItem);
+
+        _.forEach(OPERATION_METHODS, (method) => {
+          const operation = _.get(pathItem, method),
+            segments = _.concat(parentSegments, pathName, method);
+
+          if (!_.isPlainObject(operation)) {
+            return;
+          }
+
+          if (operation.operationId === operationId) {
+            found = segments;
+            return false;
+          }
+
+          // callbacks are only defined for operations of paths
+          if (parentSegments[0] === 'paths' && parentSegments.length === 1) {
+            _.forEach(operation.callbacks, (callback, callbackName) => {
+              findInPathItems(_resolveRef(schema, callback), _.concat(segments, 'callbacks', callbackName));
+
+              return !found;
+            });
+          }
+
+          return !found;
+        });
+
+        return !found;
+      });
+    };
+
+    findInPathItems(schema.paths, ['paths']);
+    !found && findInPathItems(schema.webhooks, ['webhooks']);
+
+    return found;
+  },
+
+  /**
+   * Identifies operation of definition via operation reference stored with the request during conversion
+   * (see "includeOperationReference" option). Operation is looked up via its operationId first, so that
+   * requests follow operations moved to other path, and via its JSON pointer otherwise.
+   *
+   * @param {Object} item - Request item
+   * @param {Object} schema - Definition containing paths, webhooks and components to look operation up in
+   * @returns {Object} - Operation identity containing key, method and path, null if operation is not found
+   */
+  _getStoredOperationIdentity = function (item, schema) {
+    const storedOperation = item._openapiOperation;
+
+    let segments;
+
+    if (!_.isPlainObject(storedOperation)) {
+      return null;
+    }
+
+    if (_.isString(storedOperation.operationId)) {
+      segments = _findOperationSegments(schema, storedOperation.operationId);
+    }
+
+    if (!segments && _.isString(storedOperation.pointer)) {
+      segments = _.map(_.tail(_.split(storedOperation.pointer, '/')), _unescapePointerSegment);
+      segments = _.isPlainObject(_getOperation(schema, segments)) ? segments : undefined;
+    }
+
+    if (!segments) {
+      return null;
+    }
+
+    // key of path operations is same as JSON path of endpoints matched via URL
+    return {
+      key: segments.length === 3 && segments[0] === 'paths' ?
+        `$.paths[${segments[1]}].${segments[2]}` : getJsonPointer(segments),
+      method: _.toUpper(_.last(segments)),
+      path: _.nth(segments, -2)
+    };
+  },
+
+  /**
+   * Identifies operation corresponding to request. Operation is identified via operation stored with the
+   * request, JSON path of matching endpoint from definition, or via method and URL for requests not matching
+   * any endpoint (i.e. callbacks).
+   *
+   * @param {Object} item - Request item
+   * @param {Object} schema - Definition containing paths to match request against
+   * @param {Object} options - Computed options
+   * @returns {Object} - Operation identity containing key, method and path
+   */
+  _getOperationIdentity = function (item, schema, options) {
+    const storedIdentity = _getStoredOperationIdentity(item, schema);
+
+    let method,
+      url,
+      matchedEndpoint;
+
+    if (storedIdentity) {
+      return storedIdentity;
+    }
+
+    method = _.toUpper(_.get(item, 'request.method', 'GET'));
+    url = _getUrlString(_.get(item, 'request.url'));
+    matchedEndpoint = _.head(findMatchingRequestFromSchema(method, url, schema, options));
+
+    if (matchedEndpoint) {
+      return { key: matchedEndpoint.jsonPath, method, path: matchedEndpoint.path.schemaPathName };
+    }
+
+    return { key: `${method} ${url}`, method, path: url };
+  },
+
+  /**
+   * Collects all request items of collection along with path of parent folder names.
+   *
+   * @param {Array} items - Collection items
+   * @param {Array} folderPath - Names of parent folders
+   * @param {Object} result - Collected requests and folders
+   * @returns {Object} - Collected requests and folders (keyed by path of folder names)
+   */
+  _collectItems = function (items, folderPath = [], result = { requests: [], folders: {} }) {
+    _.forEach(items, (item) => {
+      if (_.isArray(item.item)) {
+        result.folders[_.concat(folderPath, item.name).join('/')] = item;
+        return _collectItems(item.item, _.concat(folderPath, item.name), result);
+      }
+
+      result.requests.push(item);
+    });
+
+    return result;
+  },
+
+  /**
+   * Normalises request items for comparison, ignoring generated IDs.
+   *
+   * @param {Object} request - Request object
+   * @param {Array} responses - Responses of request
+   * @returns {Object} - normalised request and responses
+   */
+  _normaliseForComparison = function (request, responses) {
+    return JSON.parse(JSON.stringify({
+      request: new sdk.Request(request).toJSON(),
+      responses: _.map(responses, (response) => { return _.omit(new sdk.Response(response).toJSON(), 'id'); })
+    }));
+  },
+
+  /**
+   * Merges request generated from definition with previous request, where request definition (URL, params,
+   * headers, body and auth) and generated examples are refreshed while identity, name, scripts and
+   * examples added by user are preserved.
+   *
+   * @param {Object} generatedItem - Request item generated from definition
+   * @param {Object} previousItem - Request item of previous collection
+   * @returns {Object} - merged item and whether request was changed
+   */
+  _mergeRequestItem = function (generatedItem, previousItem) {
+    const generatedResponseNames = _.map(generatedItem.response, 'name'),
+      previousGeneratedResponses = _.filter(previousItem.response, (response) => {
+        return _.includes(generatedResponseNames, response.name);
+      }),
+      mergedItem = _.assign({}, generatedItem, {
+        id: previousItem.id || generatedItem.id,
+        name: previousItem.name || generatedItem.name,
+        response: _.concat(generatedItem.response || [], _.reject(previousItem.response, (response) => {
+          return _.includes(generatedResponseNames, response.name);
+        }))
+      });
+
+    if (!_.isEmpty(previousItem.event)) {
+      mergedItem.event = previousItem.event;
+    }
+
+    return {
+      item: mergedItem,
+      changed: !_.isEqual(_normaliseForComparison(generatedItem.request, generatedItem.response),
+        _normaliseForComparison(previousItem.request, previousGeneratedResponses))
+    };
+  };
+
+/**
+ * Synchronises previously generated collection with collection generated from changed definition.
+ * Requests are matched with operations via item ID, operation reference stored with the request during conversion
+ * (see "includeOperationReference" option) or endpoint matching the request in definition.
+ * Operations missing in previous collection are added, while requests of removed operations are
+ * moved to the "Obsolete" folder.
+ *
+ * @param {Object} context - Required context from related SchemaPack function
+ * @param {Object} previousCollection - Previously generated collection (v2.1) possibly modified by user
+ * @param {Object} generatedCollection - Collection (v2.1) generated from current definition
+ * @returns {Object} - Synchronised collection and report of changes
+ */
+module.exports = function (context, previousCollection, generatedCollection) {
+  // endpoint matching mutates parameters of definition, so an untouched copy is used
+  const schema = _.cloneDeep(_.pick(context.openapi, ['paths', 'webhooks', 'components', 'servers'])),
+    options = context.computedOptions,
+    previous = _collectItems(previousCollection.item),
+    previousIdentities = _.map(previous.requests, (item) => { return _getOperationIdentity(item, schema, options); }),
+    usedPreviousItems = {},
+    report = { added: [], updated: [], unchanged: [], obsolete: [] },
+    collection = _.assign({}, generatedCollection, {
+      info: _.assign({}, generatedCollection.info, _.pick(previousCollection.info, ['_postman_id'])),
+      variable: _.unionBy(generatedCollection.variable, previousCollection.variable, 'key')
+    }),
+
+    /**
+     * Finds request of previous collection corresponding to generated request.
+     *
+     * @param {Object} item - Generated request item
+     * @param {Object} identity - Operation identity of generated request
+     * @returns {Number} - index of previous request, -1 if not found
+     */
+    findPreviousItemIndex = (item, identity) => {
+      let index = _.findIndex(previous.requests, (previousItem, previousIndex) => {
+        return !usedPreviousItems[previousIndex] && !_.isNil(item.id) && previousItem.id === item.id;
+      });
+
+      if (index === -1) {
+        index = _.findIndex(previousIdentities, (previousIdentity, previousIndex) => {
+          return !usedPreviousItems[previousIndex] && previousIdentity.key === identity.key;
+        });
+      }
+
+      return index;
+    },
+
+    /**
+     * Synchronises generated items with previous collection recursively.
+     *
+     * @param {Array} items - Generated collection items
+     * @param {Array} folderPath - Names of parent folders
+     * @returns {Array} - Synchronised items
+     */
+    syncItems = (items, folderPath) => {
+      return _.map(items, (item) => {
+        if (_.isArray(item.item)) {
+          const currentPath = _.concat(folderPath, item.name),
+            previousFolder = previous.folders[currentPath.join('/')];
+
+          return _.assign({}, item, _.pick(previousFolder, ['id', 'event']), {
+            item: syncItems(item.item, currentPath)
+          });
+        }
+
+        const identity = _getOperationIdentity(item, schema, options),
+          previousIndex = findPreviousItemIndex(item, identity),
+          mergeResult = previousIndex === -1 ? null : _mergeRequestItem(item, previous.requests[previousIndex]);
+
+        if (!mergeResult) {
+          report.added.push({ id: item.id, name: item.name, method: identity.method, path: identity.path });
+          return item;
+        }
+
+        usedPreviousItems[previousIndex] = true;
+        report[mergeResult.changed ? 'updated' : 'unchanged'].push({
+          id: mergeResult.item.id,
+          name: mergeResult.item.name,
+          method: identity.method,
+          path: identity.path
+        });
+
+        return mergeResult.item;
+      });
+    };
+
+  let obsoleteItems;
+
+  if (!_.isEmpty(previousCollection.event)) {
+    collection.event = previousCollection.event;
+  }
+
+  collection.item = syncItems(generatedCollection.item, []);
+
+  obsoleteItems = _.filter(previous.requests, (item, index) => { return !usedPreviousItems[index]; });
+
+  _.forEach(obsoleteItems, (item) => {
+    const identity = previousIdentities[_.indexOf(previous.requests, item)];
+
+    report.obsolete.push({ id: item.id, name: item.name, method: identity.method, path: identity.path });
+  });
+
+  if (!_.isEmpty(obsoleteItems)) {
+    collection.item.push(_.assign({ description: 'Requests of operations no longer present in the definition' },
+      _.pick(previous.folders[OBSOLETE_FOLDER], ['id', 'description', 'event']), {
+        name: OBSOLETE_FOLDER,
+        item: obsoleteItems
+      }));
+  }
+
+  return { collection, report };
+};
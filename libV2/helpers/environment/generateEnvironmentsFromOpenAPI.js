@@ -0,0 +1,68 @@
+const _ = require('lodash'),
+  sdk = require('postman-collection'),
+  utils = require('../../utils'),
+
+  /**
+   * Generates combinations of server variable values to be used for separate environments.
+   * Only variables defining enum are expanded, other variables always use default value.
+   *
+   * @param {Object} serverVariables - Server variables defined in server object
+   * @param {Boolean} expandEnums - Whether to expand enum values of server variables
+   * @returns {Array} combinations of server variable values
+   */
+  getServerVariableCombinations = function (serverVariables, expandEnums) {
+    let combinations = [{}];
+
+    _.forOwn(serverVariables, (variable, key) => {
+      const defaultValue = _.has(variable, 'default') ? _.toString(variable.default) : '',
+        values = expandEnums && _.isArray(_.get(variable, 'enum')) && !_.isEmpty(variable.enum) ?
+          _.map(_.uniq(variable.enum), _.toString) : [defaultValue];
+
+      combinations = _.flatMap(combinations, (combination) => {
+        return _.map(values, (value) => {
+          return Object.assign({}, combination, { [key]: value });
+        });
+      });
+    });
+
+    return combinations;
+  };
+
+/**
+ * Generates postman environments for servers defined in the OpenAPI definition
+ *
+ * @param {Object} openapi - The JSON representation of the OAS spec
+ * @param {Object} options - Computed options
+ * @param {String} options.environmentGeneration - Strategy for environment generation
+ * @returns {Array} List of postman environments
+ */
+module.exports = function (openapi, { environmentGeneration }) {
+  const collectionName = utils.getCollectionName(_.get(openapi, 'info.title')),
+    expandEnums = environmentGeneration === 'server variables',
+    servers = _.filter(openapi.servers, (server) => { return _.isString(_.get(server, 'url')); });
+
+  if (!_.includes(['servers', 'server variables'], environmentGeneration)) {
+    return [];
+  }
+
+  return _.flatMap(servers, (server) => {
+    const serverName = _.isString(server.description) && server.description ? server.description : server.url,
+      combinations = getServerVariableCombinations(server.variables, expandEnums);
+
+    return _.map(combinations, (combination) => {
+      let name = `${collectionName} - ${serverName}`,
+        values = [{ key: 'baseUrl', value: utils.fixPathVariablesInUrl(server.url) }];
+
+      // differentiate environments generated from enum values of server variables
+      if (combinations.length > 1) {
+        name += ` (${_.map(combination, (value, key) => { return `${key}: ${value}`; }).join(', ')})`;
+      }
+
+      _.forOwn(combination, (value, key) => {
+        values.push({ key, value });
+      });
+
+      return new sdk.VariableScope({ name, values }).toJSON();
+    });
+  });
+};
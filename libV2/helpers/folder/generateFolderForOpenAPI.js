@@ -1,9 +1,22 @@
-const _ = require('lodash');
+const _ = require('lodash'),
+  { resolveNameTemplate } = require('../../utils');
+
+module.exports = function (context, node) {
+  let name = node.type === 'webhook~folder' ? 'Webhooks' : _.get(node, 'meta.name', 'FOLDER'),
+    pathIdentifier = _.get(node, 'meta.pathIdentifier');
+
+  // naming template is only applicable to folders generated via folder strategy
+  if (node.type === 'folder') {
+    name = resolveNameTemplate(_.get(context, 'computedOptions.folderNameTemplate'), {
+      name: _.get(node, 'meta.name'),
+      path: _.isString(pathIdentifier) ? '/' + _.trimStart(pathIdentifier, '/') : undefined,
+      description: _.get(node, 'meta.description')
+    }) || name;
+  }
 
-module.exports = function (openapi, node) {
   return {
     data: {
-      name: node.type === 'webhook~folder' ? 'Webhooks' : _.get(node, 'meta.name', 'FOLDER'),
+      name,
       description: _.get(node, 'meta.description', ''),
       item: []
     }
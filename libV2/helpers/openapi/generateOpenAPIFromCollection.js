@@ -0,0 +1,667 @@
+const _ = require('lodash'),
+  sdk = require('postman-collection'),
+  { getPostmanUrlSuffixSchemaScore, isPmVariable } = require('../../requestMatchingUtils'),
+  OPENAPI_VERSIONS = {
+    '3.0': '3.0.3',
+    '3.1': '3.1.0'
+  },
+  // headers that are represented by other parts of the OpenAPI definition
+  IMPLICIT_HEADERS = ['content-type', 'accept', 'authorization'],
+  RAW_LANGUAGE_CONTENT_TYPES = {
+    json: 'application/json',
+    xml: 'application/xml',
+    html: 'text/html',
+    javascript: 'application/javascript',
+    text: 'text/plain'
+  },
+  OAUTH2_FLOWS = {
+    authorization_code: 'authorizationCode',
+    authorization_code_with_pkce: 'authorizationCode',
+    implicit: 'implicit',
+    password_credentials: 'password',
+    client_credentials: 'clientCredentials'
+  },
+  COLLECTION_VARIABLE_REGEX = /\{\{([^{}]+)\}\}/g,
+
+  /**
+   * Gets content of description of a collection entity. Description can either be string or
+   * object containing content and type.
+   *
+   * @param {*} description - Description of collection entity
+   * @returns {String} description content
+   */
+  getDescription = (description) => {
+    const content = _.isString(description) ? description : _.get(description, 'content');
+
+    return _.isString(content) && !_.isEmpty(content) ? content : undefined;
+  },
+
+  /**
+   * Infers JSON schema from given value. Inferred schema only contains types and structure of value.
+   *
+   * @param {*} value - Value to infer schema from
+   * @param {Boolean} isOpenAPI31 - Whether the schema is generated for OpenAPI 3.1
+   * @returns {Object} inferred schema
+   */
+  inferSchema = (value, isOpenAPI31) => {
+    if (_.isNull(value)) {
+      return isOpenAPI31 ? { type: 'null' } : { nullable: true };
+    }
+
+    if (_.isArray(value)) {
+      return {
+        type: 'array',
+        items: _.isEmpty(value) ? {} : inferSchema(value[0], isOpenAPI31)
+      };
+    }
+
+    if (_.isPlainObject(value)) {
+      return {
+        type: 'object',
+        properties: _.mapValues(value, (propValue) => { return inferSchema(propValue, isOpenAPI31); })
+      };
+    }
+
+    if (_.isInteger(value)) {
+      return { type: 'integer' };
+    }
+
+    if (_.isNumber(value)) {
+      return { type: 'number' };
+    }
+
+    if (_.isBoolean(value)) {
+      return { type: 'boolean' };
+    }
+
+    return { type: 'string' };
+  },
+
+  /**
+   * Parses given value as JSON.
+   *
+   * @param {String} value - Value to parse
+   * @returns {Object} parse result containing whether value was valid JSON and parsed value
+   */
+  parseJSON = (value) => {
+    try {
+      return { isJSON: true, value: JSON.parse(value) };
+    }
+    catch (e) {
+      return { isJSON: false, value };
+    }
+  },
+
+  /**
+   * Gets unique key for given object by appending counter to the key if it's already present.
+   *
+   * @param {Object} object - Object in which key is to be added
+   * @param {String} key - Preferred key
+   * @returns {String} unique key
+   */
+  getUniqueKey = (object, key) => {
+    let uniqueKey = key,
+      counter = 1;
+
+    while (_.has(object, uniqueKey)) {
+      uniqueKey = `${key} (${++counter})`;
+    }
+
+    return uniqueKey;
+  },
+
+  /**
+   * Gets media type without parameters (i.e. "application/json; charset=utf-8" -> "application/json").
+   *
+   * @param {String} contentType - Value of Content-Type header
+   * @returns {String} media type
+   */
+  getMediaType = (contentType) => {
+    return _.isString(contentType) && !_.isEmpty(_.trim(contentType)) ?
+      _.toLower(_.trim(_.split(contentType, ';')[0])) : undefined;
+  },
+
+  /**
+   * Gets value of header with given name.
+   *
+   * @param {Array} headers - List of headers
+   * @param {String} name - Name of header
+   * @returns {String} header value
+   */
+  getHeaderValue = (headers, name) => {
+    const header = _.find(headers, (header) => { return _.toLower(header.key) === name && !header.disabled; });
+
+    return _.get(header, 'value');
+  },
+
+  /**
+   * Gets example value for parameter. Values containing collection variables are not used as examples.
+   *
+   * @param {*} value - Value of parameter in collection
+   * @returns {*} example value
+   */
+  getParameterExample = (value) => {
+    return _.isString(value) && !_.isEmpty(value) && !_.includes(value, '{{') ? value : undefined;
+  },
+
+  /**
+   * Generates media type object containing inferred schema and example for given body.
+   *
+   * @param {String} body - Body content
+   * @param {String} mediaType - Media type of body
+   * @param {Boolean} isOpenAPI31 - Whether the definition is generated for OpenAPI 3.1
+   * @returns {Object} media type object
+   */
+  generateMediaTypeObject = (body, mediaType, isOpenAPI31) => {
+    const parsedBody = _.includes(mediaType, 'json') ? parseJSON(body) : { isJSON: false, value: body };
+
+    return {
+      schema: parsedBody.isJSON ? inferSchema(parsedBody.value, isOpenAPI31) : { type: 'string' },
+      example: parsedBody.value
+    };
+  };
+
+/**
+ * Adds security scheme corresponding to Postman auth into components of the definition.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} auth - Postman auth
+ * @returns {Object|Array} Security requirement for the auth, empty array for no auth
+ *  and undefined for unsupported auth types
+ */
+function resolveSecurityRequirement (context, auth) {
+  let params,
+    schemeName,
+    securityScheme,
+    uniqueSchemeName,
+    counter = 1,
+    scopes = [];
+
+  if (!auth || !auth.type) {
+    return;
+  }
+
+  if (auth.type === 'noauth') {
+    return [];
+  }
+
+  params = auth.parameters().toObject();
+
+  switch (auth.type) {
+    case 'basic':
+    case 'bearer':
+    case 'digest':
+      schemeName = `${auth.type}Auth`;
+      securityScheme = { type: 'http', scheme: auth.type };
+      break;
+    case 'oauth1':
+      schemeName = 'oauth1Auth';
+      securityScheme = { type: 'http', scheme: 'oauth' };
+      break;
+    case 'apikey':
+      schemeName = 'apiKeyAuth';
+      securityScheme = {
+        type: 'apiKey',
+        name: _.isString(params.key) && params.key ? params.key : 'api_key',
+        in: params.in === 'query' ? 'query' : 'header'
+      };
+      break;
+    case 'oauth2': {
+      const flowName = OAUTH2_FLOWS[params.grant_type] || OAUTH2_FLOWS.authorization_code,
+        flow = {};
+
+      scopes = _.compact(_.split(params.scope, ' '));
+
+      if (_.includes(['authorizationCode', 'implicit'], flowName)) {
+        flow.authorizationUrl = params.authUrl || '';
+      }
+
+      if (flowName !== 'implicit') {
+        flow.tokenUrl = params.accessTokenUrl || '';
+      }
+
+      flow.scopes = _.reduce(scopes, (acc, scope) => {
+        acc[scope] = '';
+        return acc;
+      }, {});
+
+      schemeName = 'oauth2Auth';
+      securityScheme = { type: 'oauth2', flows: { [flowName]: flow } };
+      break;
+    }
+    default:
+      // other auth types can not be represented in OpenAPI
+      return;
+  }
+
+  uniqueSchemeName = schemeName;
+
+  // different auth of same type are added as separate security schemes
+  while (_.has(context.openapi.components.securitySchemes, uniqueSchemeName) &&
+    !_.isEqual(context.openapi.components.securitySchemes[uniqueSchemeName], securityScheme)) {
+    uniqueSchemeName = `${schemeName}${++counter}`;
+  }
+
+  context.openapi.components.securitySchemes[uniqueSchemeName] = securityScheme;
+
+  return { [uniqueSchemeName]: scopes };
+}
+
+/**
+ * Resolves server corresponding to host of the request URL. Collection variables used in the host
+ * are resolved via collection variables or added as server variables.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} url - Postman request URL
+ * @returns {Object} server object
+ */
+function resolveServer (context, url) {
+  let host = url.getHost(),
+    serverUrl,
+    variables = {};
+
+  if (_.isEmpty(host)) {
+    return;
+  }
+
+  // host containing only collection variable with defined value is resolved (i.e. {{baseUrl}})
+  if (isPmVariable(host) && getParameterExample(context.variables[host.slice(2, -2)])) {
+    serverUrl = _.trimEnd(context.variables[host.slice(2, -2)], '/');
+  }
+  else {
+    serverUrl = (url.protocol ? `${url.protocol}://` : '') + host + (url.port ? `:${url.port}` : '');
+  }
+
+  serverUrl = serverUrl.replace(COLLECTION_VARIABLE_REGEX, (match, name) => {
+    variables[name] = { default: _.toString(_.get(context.variables, name, '')) };
+    return `{${name}}`;
+  });
+
+  return _.isEmpty(variables) ? { url: serverUrl } : { url: serverUrl, variables };
+}
+
+/**
+ * Finds path already present in definition that the request path targets. Paths are matched
+ * via same logic as used for matching transactions to definition during validation, where each
+ * segment should either match exactly or correspond to path variable in existing path.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Array} segments - Path segments of request URL
+ * @returns {Object} matched path along with the path variables of match
+ */
+function findMatchingPath (context, segments) {
+  let matchedPath;
+
+  _.forOwn(context.openapi.paths, (pathItem, path) => {
+    const pathSegments = _.reject(path.split('/'), _.isEmpty),
+      matchResult = getPostmanUrlSuffixSchemaScore(segments, pathSegments, { strictRequestMatching: true });
+
+    if (!matchResult.match || matchResult.fixedMatchedSegments + matchResult.pathVars.length !== segments.length) {
+      return;
+    }
+
+    if (!matchedPath || matchResult.fixedMatchedSegments > matchedPath.fixedMatchedSegments) {
+      matchedPath = { path, pathVars: matchResult.pathVars, fixedMatchedSegments: matchResult.fixedMatchedSegments };
+    }
+  });
+
+  return matchedPath;
+}
+
+/**
+ * Resolves templated path and path parameters for request URL. Path variables (":param")
+ * and collection variables ("{{param}}") are converted to path templates ("{param}").
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} url - Postman request URL
+ * @returns {Object} path and path parameters
+ */
+function resolvePath (context, url) {
+  const segments = _.reject(_.map(url.path, _.toString), _.isEmpty),
+    pathVariables = url.variables.all(),
+    matchedPath = findMatchingPath(context, segments),
+    parameters = [],
+    addParameter = (name, segment) => {
+      const pathVariable = segment.startsWith(':') ? _.find(pathVariables, ['key', name]) : undefined,
+        // use name of path variable from matched path if present
+        matchedVariable = _.find(_.get(matchedPath, 'pathVars'), ['value', segment]),
+        paramName = matchedVariable ? matchedVariable.key : name;
+
+      if (_.find(parameters, ['name', paramName])) {
+        return `{${paramName}}`;
+      }
+
+      parameters.push(_.omitBy({
+        name: paramName,
+        in: 'path',
+        required: true,
+        description: getDescription(_.get(pathVariable, 'description')),
+        schema: { type: 'string' },
+        example: getParameterExample(_.get(pathVariable, 'value'))
+      }, _.isUndefined));
+
+      return `{${paramName}}`;
+    },
+    path = '/' + _.map(segments, (segment) => {
+      if (segment.startsWith(':') && segment.length > 1) {
+        return addParameter(segment.slice(1), segment);
+      }
+
+      return segment.replace(COLLECTION_VARIABLE_REGEX, (match, name) => {
+        return addParameter(name, match);
+      });
+    }).join('/');
+
+  // literal segments that matched path variables of existing path are also part of path parameters
+  _.forEach(_.get(matchedPath, 'pathVars'), (pathVar) => {
+    if (!_.find(parameters, ['name', pathVar.key])) {
+      parameters.push({ name: pathVar.key, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  });
+
+  return { path: matchedPath ? matchedPath.path : path, parameters };
+}
+
+/**
+ * Resolves query and header parameters of request.
+ *
+ * @param {Object} request - Postman request
+ * @param {Object} securityScheme - Security scheme used by request, API key header/query param is not added
+ * @returns {Array} parameters
+ */
+function resolveParameters (request, securityScheme) {
+  const isAuthParam = (name, location) => {
+      return _.get(securityScheme, 'type') === 'apiKey' && securityScheme.in === location &&
+        _.toLower(securityScheme.name) === _.toLower(name);
+    },
+    queryParams = _.filter(request.url.query.all(), (param) => {
+      return _.isString(param.key) && !_.isEmpty(param.key) && !isAuthParam(param.key, 'query');
+    }),
+    headers = _.filter(request.headers.all(), (header) => {
+      return _.isString(header.key) && !_.includes(IMPLICIT_HEADERS, _.toLower(header.key)) &&
+        !isAuthParam(header.key, 'header');
+    });
+
+  return _.concat(_.map(queryParams, (param) => {
+    return _.omitBy({
+      name: param.key,
+      in: 'query',
+      description: getDescription(param.description),
+      schema: { type: 'string' },
+      example: getParameterExample(param.value)
+    }, _.isUndefined);
+  }), _.map(headers, (header) => {
+    return _.omitBy({
+      name: header.key,
+      in: 'header',
+      description: getDescription(header.description),
+      schema: { type: 'string' },
+      example: getParameterExample(header.value)
+    }, _.isUndefined);
+  }));
+}
+
+/**
+ * Resolves request body of request.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} request - Postman request
+ * @returns {Object} request body
+ */
+function resolveRequestBody (context, request) {
+  const body = request.body,
+    headers = request.headers.all();
+  let mediaType,
+    mediaTypeObject;
+
+  if (!body || body.isEmpty()) {
+    return;
+  }
+
+  switch (body.mode) {
+    case 'raw':
+      mediaType = getMediaType(getHeaderValue(headers, 'content-type')) ||
+        RAW_LANGUAGE_CONTENT_TYPES[_.get(body, 'options.raw.language')] || 'text/plain';
+      mediaTypeObject = generateMediaTypeObject(body.raw, mediaType, context.isOpenAPI31);
+      break;
+    case 'urlencoded':
+    case 'formdata': {
+      const params = _.filter(body[body.mode].all(), (param) => { return !param.disabled && param.key; });
+
+      mediaType = body.mode === 'urlencoded' ? 'application/x-www-form-urlencoded' : 'multipart/form-data';
+      mediaTypeObject = {
+        schema: {
+          type: 'object',
+          properties: _.reduce(params, (acc, param) => {
+            acc[param.key] = _.omitBy({
+              type: 'string',
+              format: param.type === 'file' ? 'binary' : undefined,
+              description: getDescription(param.description)
+            }, _.isUndefined);
+            return acc;
+          }, {})
+        },
+        example: _.reduce(params, (acc, param) => {
+          param.type !== 'file' && (acc[param.key] = param.value);
+          return acc;
+        }, {})
+      };
+      break;
+    }
+    case 'graphql': {
+      const variables = parseJSON(_.get(body, 'graphql.variables'));
+
+      mediaType = 'application/json';
+      mediaTypeObject = {
+        schema: {
+          type: 'object',
+          properties: { query: { type: 'string' }, variables: { type: 'object' } }
+        },
+        example: _.omitBy({
+          query: _.get(body, 'graphql.query'),
+          variables: variables.isJSON ? variables.value : undefined
+        }, _.isUndefined)
+      };
+      break;
+    }
+    case 'file':
+      mediaType = getMediaType(getHeaderValue(headers, 'content-type')) || 'application/octet-stream';
+      mediaTypeObject = { schema: { type: 'string', format: 'binary' } };
+      break;
+    default:
+      return;
+  }
+
+  return { content: { [mediaType]: mediaTypeObject } };
+}
+
+/**
+ * Adds saved examples of collection request as responses of operation.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} operation - Operation to which responses are to be added
+ * @param {Array} responses - Postman responses (saved examples)
+ * @returns {void}
+ */
+function resolveResponses (context, operation, responses) {
+  _.forEach(responses, (response) => {
+    const code = _.isInteger(response.code) ? _.toString(response.code) : 'default',
+      headers = response.headers.all(),
+      body = response.text(),
+      mediaType = getMediaType(getHeaderValue(headers, 'content-type')) ||
+        (parseJSON(body).isJSON ? 'application/json' : 'text/plain'),
+      responseObject = operation.responses[code] || (operation.responses[code] = {
+        description: response.status || response.name || 'Response'
+      });
+    let mediaTypeObject;
+
+    _.forEach(headers, (header) => {
+      if (!_.isString(header.key) || _.includes(['content-type', 'content-length'], _.toLower(header.key))) {
+        return;
+      }
+
+      responseObject.headers = responseObject.headers || {};
+      if (!_.has(responseObject.headers, header.key)) {
+        responseObject.headers[header.key] = _.omitBy({
+          description: getDescription(header.description),
+          schema: { type: 'string' },
+          example: getParameterExample(header.value)
+        }, _.isUndefined);
+      }
+    });
+
+    if (_.isEmpty(body)) {
+      return;
+    }
+
+    mediaTypeObject = generateMediaTypeObject(body, mediaType, context.isOpenAPI31);
+    responseObject.content = responseObject.content || {};
+
+    // examples with same status code and media type are added to same response
+    if (!_.has(responseObject.content, mediaType)) {
+      responseObject.content[mediaType] = { schema: mediaTypeObject.schema, examples: {} };
+    }
+
+    responseObject.content[mediaType].examples[
+      getUniqueKey(responseObject.content[mediaType].examples, response.name || 'Example')] = {
+      value: mediaTypeObject.example
+    };
+  });
+}
+
+/**
+ * Adds tag corresponding to folder the item is present in.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} item - Postman item
+ * @returns {Array} tags for the item
+ */
+function resolveTags (context, item) {
+  const parent = item.parent();
+
+  if (!parent || parent === context.collection || !sdk.ItemGroup.isItemGroup(parent)) {
+    return;
+  }
+
+  if (!_.find(context.openapi.tags, ['name', parent.name])) {
+    context.openapi.tags.push(_.omitBy({
+      name: parent.name,
+      description: getDescription(parent.description)
+    }, _.isUndefined));
+  }
+
+  return [parent.name];
+}
+
+/**
+ * Adds operation corresponding to the Postman item in the definition. Requests targeting same
+ * path and method are merged in single operation.
+ *
+ * @param {Object} context - Context containing collection and generated definition
+ * @param {Object} item - Postman item
+ * @param {Object} rootSecurity - Security requirement defined at root level of definition
+ * @returns {void}
+ */
+function resolveOperation (context, item, rootSecurity) {
+  const request = item.request,
+    method = _.toLower(request.method || 'GET'),
+    { path, parameters: pathParameters } = resolvePath(context, request.url),
+    security = resolveSecurityRequirement(context, item.getAuth()),
+    securityScheme = _.get(context.openapi.components.securitySchemes, _.head(_.keys(security))),
+    parameters = _.concat(pathParameters, resolveParameters(request, securityScheme)),
+    server = resolveServer(context, request.url),
+    pathItem = context.openapi.paths[path] || (context.openapi.paths[path] = {});
+  let operation = pathItem[method];
+
+  if (!operation) {
+    const requestBody = resolveRequestBody(context, request);
+
+    operation = pathItem[method] = _.omitBy({
+      tags: resolveTags(context, item),
+      summary: item.name,
+      description: getDescription(request.description),
+      parameters: [],
+      requestBody
+    }, _.isUndefined);
+
+    // requests use security of root level by default
+    if (security && !_.isEqual(security, rootSecurity)) {
+      operation.security = _.isEmpty(security) ? [] : [security];
+    }
+
+    // server of first request is used as root level server, other servers are defined for operations
+    if (server && _.isEmpty(context.openapi.servers)) {
+      context.openapi.servers.push(server);
+    }
+    else if (server && !_.isEqual(server, context.openapi.servers[0])) {
+      operation.servers = [server];
+    }
+
+    operation.responses = {};
+  }
+
+  _.forEach(parameters, (parameter) => {
+    if (!_.find(operation.parameters, { name: parameter.name, in: parameter.in })) {
+      operation.parameters.push(parameter);
+    }
+  });
+
+  resolveResponses(context, operation, item.responses.all());
+}
+
+/**
+ * Generates OpenAPI definition from Postman collection
+ *
+ * @param {Object} collectionJSON - Postman collection v2.1 JSON
+ * @param {Object} options - Options for generation
+ * @param {String} options.openapiVersion - Version of OpenAPI to generate, one of '3.0' / '3.1'
+ * @returns {Object} OpenAPI definition
+ */
+module.exports = function (collectionJSON, options) {
+  const collection = new sdk.Collection(collectionJSON),
+    openapiVersion = _.startsWith(_.toString(_.get(options, 'openapiVersion')), '3.1') ? '3.1' : '3.0',
+    context = {
+      collection,
+      isOpenAPI31: openapiVersion === '3.1',
+      variables: collection.variables.toObject(),
+      openapi: {
+        openapi: OPENAPI_VERSIONS[openapiVersion],
+        info: _.omitBy({
+          title: collection.name || 'Converted from Postman collection',
+          description: getDescription(collection.description),
+          version: _.isString(_.get(collectionJSON, 'info.version')) ? collectionJSON.info.version : '1.0.0'
+        }, _.isUndefined),
+        servers: [],
+        security: [],
+        tags: [],
+        paths: {},
+        components: { securitySchemes: {} }
+      }
+    },
+    rootSecurity = resolveSecurityRequirement(context, collection.auth);
+
+  if (!_.isEmpty(rootSecurity)) {
+    context.openapi.security.push(rootSecurity);
+  }
+
+  collection.forEachItem((item) => {
+    if (item.request && item.request.url) {
+      resolveOperation(context, item, rootSecurity);
+    }
+  });
+
+  // responses are required for each operation
+  _.forOwn(context.openapi.paths, (pathItem) => {
+    _.forOwn(pathItem, (operation) => {
+      _.isEmpty(operation.parameters) && (delete operation.parameters);
+      _.isEmpty(operation.responses) && (operation.responses = { default: { description: 'Default response' } });
+    });
+  });
+
+  _.isEmpty(context.openapi.servers) && (delete context.openapi.servers);
+  _.isEmpty(context.openapi.security) && (delete context.openapi.security);
+  _.isEmpty(context.openapi.tags) && (delete context.openapi.tags);
+  _.isEmpty(context.openapi.components.securitySchemes) && (delete context.openapi.components);
+
+  return context.openapi;
+};
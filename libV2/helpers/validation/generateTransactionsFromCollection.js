@@ -0,0 +1,113 @@
+const _ = require('lodash'),
+  sdk = require('postman-collection'),
+
+  NO_AUTH = { type: 'noauth' },
+
+  /**
+   * Provides values of enabled variables keyed by their name.
+   *
+   * @param {Array} variables - Collection variables or values of environment
+   * @param {Function} isEnabled - Determines whether variable is enabled
+   * @returns {Object} - Variable values keyed by variable name
+   */
+  _getVariableValues = function (variables, isEnabled) {
+    return _.reduce(variables, (values, variable) => {
+      if (_.isString(_.get(variable, 'key')) && isEnabled(variable)) {
+        values[variable.key] = variable.value;
+      }
+
+      return values;
+    }, {});
+  },
+
+  /**
+   * Provides saved examples of request in format of transaction responses. Examples without status code
+   * can not be validated and are left out.
+   *
+   * @param {Array} responses - Saved examples of request
+   * @param {Array} variables - Variable values used for substitution, in order of precedence
+   * @returns {Array} - Transaction responses
+   */
+  _getResponses = function (responses, variables) {
+    return _.reduce(responses, (transactionResponses, response, index) => {
+      const responseJSON = sdk.Property.replaceSubstitutionsIn(new sdk.Response(response).toJSON(), variables);
+
+      if (_.isInteger(responseJSON.code)) {
+        transactionResponses.push({
+          id: _.isString(response.id) ? response.id : _.toString(index),
+          code: responseJSON.code,
+          header: _.map(responseJSON.header, (header) => {
+            return { key: header.key, value: _.toString(header.value) };
+          }),
+          body: _.isString(responseJSON.body) ? responseJSON.body : null
+        });
+      }
+
+      return transactionResponses;
+    }, []);
+  },
+
+  /**
+   * Collects transactions from collection items recursively. Auth not defined by request is inherited
+   * from closest parent folder or collection.
+   *
+   * @param {Array} items - Collection items
+   * @param {Array} folderPath - Names of parent folders
+   * @param {Object} parentAuth - Auth applicable to items
+   * @param {Array} variables - Variable values used for substitution, in order of precedence
+   * @param {Object} transactions - Transactions collected so far, keyed by item path
+   * @returns {Object} - Transactions keyed by item path
+   */
+  _collectTransactions = function (items, folderPath, parentAuth, variables, transactions) {
+    _.forEach(items, (item) => {
+      const itemPath = _.concat(folderPath, _.toString(item.name));
+
+      if (_.isArray(item.item)) {
+        return _collectTransactions(item.item, itemPath, _.isNil(item.auth) ? parentAuth : item.auth, variables,
+          transactions);
+      }
+
+      if (_.isNil(item.request)) {
+        return;
+      }
+
+      let id = itemPath.join('/'),
+        duplicateCount = 1,
+        request = new sdk.Request(item.request).toJSON();
+
+      // items having same path are identified via their position among such items
+      while (_.has(transactions, id)) {
+        duplicateCount += 1;
+        id = `${itemPath.join('/')} (${duplicateCount})`;
+      }
+
+      request.auth = _.isNil(request.auth) ? parentAuth : request.auth;
+      request = sdk.Property.replaceSubstitutionsIn(request, variables);
+
+      transactions[id] = {
+        id,
+        request,
+        response: _getResponses(item.response, variables)
+      };
+    });
+
+    return transactions;
+  };
+
+/**
+ * Generates transactions (as described by assets/validationRequestListSchema.json) from requests and saved
+ * examples of Postman collection. Transactions are identified via path of item, i.e. names of parent folders
+ * and request joined via "/". Variables are substituted with values from environment, or else collection.
+ *
+ * @param {Object} collection - Postman collection v2.1
+ * @param {Object} environment - Postman environment containing variable values
+ * @returns {Array} - Transactions to be validated
+ */
+module.exports = function (collection, environment) {
+  const variables = [
+    _getVariableValues(_.get(environment, 'values'), (variable) => { return variable.enabled !== false; }),
+    _getVariableValues(collection.variable, (variable) => { return !variable.disabled; })
+  ];
+
+  return _.values(_collectTransactions(collection.item, [], collection.auth || NO_AUTH, variables, {}));
+};
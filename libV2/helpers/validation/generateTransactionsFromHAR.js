@@ -0,0 +1,141 @@
+const _ = require('lodash'),
+  sdk = require('postman-collection'),
+
+  URLENCODED = 'application/x-www-form-urlencoded',
+  FORM_DATA = 'multipart/form-data',
+
+  /**
+   * Converts HAR name-value pairs (i.e. headers, query string or form params) to key-value pairs.
+   *
+   * @param {Array} pairs - HAR name-value pairs
+   * @returns {Array} - Key-value pairs
+   */
+  _toKeyValuePairs = function (pairs) {
+    return _.map(_.filter(pairs, (pair) => { return _.isString(_.get(pair, 'name')); }), (pair) => {
+      return { key: pair.name, value: _.toString(pair.value) };
+    });
+  },
+
+  /**
+   * Provides headers of HAR request / response. HTTP/2 pseudo headers (i.e. ":authority") are left out
+   * as those are not headers of the request.
+   *
+   * @param {Array} headers - HAR headers
+   * @returns {Array} - Transaction headers
+   */
+  _getHeaders = function (headers) {
+    return _.reject(_toKeyValuePairs(headers), (header) => { return _.startsWith(header.key, ':'); });
+  },
+
+  /**
+   * Provides URL of HAR request. Query parameters of URL are taken from decoded query string if present.
+   *
+   * @param {Object} request - HAR request
+   * @returns {Object} - Transaction URL
+   */
+  _getUrl = function (request) {
+    const url = new sdk.Url(request.url).toJSON();
+
+    if (_.isArray(request.queryString)) {
+      url.query = _toKeyValuePairs(request.queryString);
+    }
+
+    return url;
+  },
+
+  /**
+   * Provides request body from posted data of HAR request.
+   *
+   * @param {Object} postData - Posted data of HAR request
+   * @returns {Object} - Transaction request body, undefined if no data was posted
+   */
+  _getRequestBody = function (postData) {
+    let mediaType;
+
+    if (!_.isObject(postData)) {
+      return;
+    }
+
+    mediaType = _.toLower(_.trim(_.head(_.split(postData.mimeType, ';'))));
+
+    if (mediaType === URLENCODED) {
+      return {
+        mode: 'urlencoded',
+        urlencoded: _.isEmpty(postData.params) ?
+          _.map(Array.from(new URLSearchParams(_.toString(postData.text))), ([key, value]) => {
+            return { key, value };
+          }) :
+          _toKeyValuePairs(postData.params)
+      };
+    }
+
+    if (mediaType === FORM_DATA && !_.isEmpty(postData.params)) {
+      return {
+        mode: 'formdata',
+        formdata: _.map(postData.params, (param) => {
+          return _.isString(param.fileName) ?
+            { key: param.name, type: 'file', src: param.fileName } :
+            { key: param.name, value: _.toString(param.value), type: 'text' };
+        })
+      };
+    }
+
+    return { mode: 'raw', raw: _.toString(postData.text) };
+  },
+
+  /**
+   * Provides response body from content of HAR response, decoding base64 encoded content.
+   *
+   * @param {Object} content - Content of HAR response
+   * @returns {String} - Transaction response body, null if no content was captured
+   */
+  _getResponseBody = function (content) {
+    if (!_.isString(_.get(content, 'text'))) {
+      return null;
+    }
+
+    return content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+  };
+
+/**
+ * Generates transactions (as described by assets/validationRequestListSchema.json) from entries of HAR log.
+ * Transactions and their responses are identified via index of corresponding HAR entry.
+ * Responses with status 0 (i.e. blocked or aborted requests) are left out. As captured requests contain
+ * all of the sent credentials (i.e. headers, query parameters and cookies), auth is never inherited.
+ *
+ * @param {Array} entries - Entries of HAR log
+ * @returns {Array} - Transactions to be validated
+ */
+module.exports = function (entries) {
+  return _.map(entries, (entry, index) => {
+    const id = _.toString(index),
+      request = entry.request,
+      response = entry.response,
+      body = _getRequestBody(request.postData),
+      transaction = {
+        id,
+        request: {
+          url: _getUrl(request),
+          method: _.toUpper(request.method),
+          header: _getHeaders(request.headers),
+          auth: { type: 'noauth' }
+        },
+        response: []
+      };
+
+    if (body) {
+      transaction.request.body = body;
+    }
+
+    if (_.isInteger(_.get(response, 'status')) && response.status > 0) {
+      transaction.response.push({
+        id,
+        code: response.status,
+        header: _getHeaders(response.headers),
+        body: _getResponseBody(response.content)
+      });
+    }
+
+    return transaction;
+  });
+};
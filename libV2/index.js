@@ -5,21 +5,129 @@ const _ = require('lodash'),
   generateSkeletonTreeFromOpenAPI = require('./helpers/collection/generateSkeletionTreeFromOpenAPI'),
   generateCollectionFromOpenAPI = require('./helpers/collection/generateCollectionFromOpenAPI'),
   generateFolderFromOpenAPI = require('./helpers/folder/generateFolderForOpenAPI'),
+  generateEnvironmentsFromOpenAPI = require('./helpers/environment/generateEnvironmentsFromOpenAPI'),
+  generateOpenAPIFromCollection = require('./helpers/openapi/generateOpenAPIFromCollection'),
+  syncCollectionWithOpenAPI = require('./helpers/collection/syncCollectionWithOpenAPI'),
+  assignDeterministicIds = require('./helpers/collection/assignDeterministicIds'),
+  generateTransactionsFromHAR = require('./helpers/validation/generateTransactionsFromHAR'),
+  generateTransactionsFromCollection = require('./helpers/validation/generateTransactionsFromCollection'),
 
   Ajv = require('ajv'),
   addFormats = require('ajv-formats'),
   async = require('async'),
+  fs = require('fs'),
   transactionSchema = require('../assets/validationRequestListSchema.json'),
 
   // All V1 interfaces used
   OpenApiErr = require('../lib/error'),
+  UserError = require('../lib/common/UserError'),
+  { getLogger } = require('../lib/common/logger'),
   { validateTransaction, getMissingSchemaEndpoints } = require('./validationUtils');
 
-const { resolvePostmanRequest } = require('./schemaUtils');
-const { generateRequestItemObject, fixPathVariablesInUrl } = require('./utils');
+const { resolvePostmanRequest, resolveLinkedParameters, resolveRefFromSchema } = require('./schemaUtils');
+const { generateRequestItemObject, fixPathVariablesInUrl, addDiagnostic, getJsonPointer } = require('./utils');
+
+/**
+ * Reports operation that could not be converted and hence is not present in generated collection
+ *
+ * @param {Object} context - Required context from related SchemaPack function
+ * @param {Error} error - Error thrown while converting the operation
+ * @param {String} method - Method of the operation
+ * @param {String} path - Path (or callback expression) of the operation
+ * @returns {void}
+ */
+const reportSkippedOperation = (context, error, method, path) => {
+  getLogger(context.computedOptions).error(error);
+
+  addDiagnostic(context, {
+    code: 'OPERATION_SKIPPED',
+    severity: 'error',
+    message: `Operation ${_.toUpper(method)} ${path} could not be converted and was skipped: ` +
+      _.get(error, 'message', error)
+  });
+};
+
+/**
+ * Stores reference to the operation (operationId and JSON pointer) with generated request if enabled via
+ * "includeOperationReference" option, so that request can be identified while synchronising the collection later
+ *
+ * @param {Object} context - Required context from related SchemaPack function
+ * @param {Object} requestObject - Generated request item
+ * @param {Object} operation - Operation object the request is generated from
+ * @returns {void}
+ */
+const addOperationReference = (context, requestObject, operation) => {
+  if (!context.computedOptions.includeOperationReference) {
+    return;
+  }
+
+  requestObject._openapiOperation = _.omitBy({
+    operationId: _.get(operation, 'operationId'),
+    pointer: context.operationPointer
+  }, _.isNil);
+};
+
+/**
+ * Reads JSON document (i.e. collection or HAR) provided as input
+ *
+ * @param {Object} input - Input containing JSON document, with type one of file/json/string
+ * @returns {Object} - Parsed JSON document
+ */
+const readJsonInput = (input) => {
+  if (_.get(input, 'type') === 'json') {
+    return input.data;
+  }
+
+  if (_.get(input, 'type') === 'string') {
+    return JSON.parse(input.data);
+  }
+
+  if (_.get(input, 'type') === 'file') {
+    return JSON.parse(fs.readFileSync(input.data, 'utf8'));
+  }
+
+  throw new UserError(`Invalid input type (${_.get(input, 'type')}). type must be one of file/json/string.`);
+};
+
+/**
+ * Checks whether provided collection is of v2.x format, i.e. contains info and item array at root level
+ *
+ * @param {Object} collection - Postman collection
+ * @returns {Boolean} - whether collection is of v2.x format
+ */
+const isCollectionV2 = (collection) => {
+  return _.isPlainObject(collection) && _.isPlainObject(collection.info) && _.isArray(collection.item);
+};
 
 module.exports = {
   convertV2: function (context, cb) {
+    // diagnostics are collected for every conversion separately
+    context.diagnostics = [];
+
+    _.forEach(_.get(context, 'overlayResult.unmatchedTargets'), ({ target }) => {
+      addDiagnostic(context, {
+        code: 'OVERLAY_TARGET_NOT_MATCHED',
+        message: `Overlay target "${target}" did not match any nodes in the definition.`,
+        jsonPointer: ''
+      });
+    });
+
+    /**
+     * Resolution of schemas for conversion mutates the definition (i.e. only first schema of oneOf is kept),
+     * so schemas used in contract tests are resolved from an untouched copy of the definition.
+     */
+    if (context.computedOptions.includeContractTests) {
+      context.contractTestSpec = _.cloneDeep(_.pick(context.openapi, ['components', 'paths', 'webhooks']));
+    }
+
+    /**
+     * Parameters of linked operations are to be known before requests are generated,
+     * as linked operation can be generated before the operation defining the link.
+     */
+    if (context.computedOptions.enableRequestChaining) {
+      context.linkedParameters = resolveLinkedParameters(context);
+    }
+
     /**
      * Start generating the Bare bone tree that should exist for the schema
      */
@@ -51,6 +159,11 @@ module.exports = {
 
           collection.variable.push(...variables);
 
+          // add collection variables that store values of linked parameters
+          _.forEach(_.uniqBy(_.flatten(_.values(context.linkedParameters)), 'variable'), ({ variable }) => {
+            collection.variable.push({ key: variable, value: '' });
+          });
+
           // set the ref for the collection in the node.
           collectionTree.setNode(nodeIdentified,
             Object.assign(node, {
@@ -60,7 +173,8 @@ module.exports = {
           break;
         }
 
-        case 'folder': {
+        case 'folder':
+        case 'callback~folder': {
           // generate the folder form the node.
           let folder = generateFolderFromOpenAPI(context, node).data || {};
 
@@ -93,6 +207,8 @@ module.exports = {
             collectionVariables = [],
             requestObject = {};
 
+          context.operationPointer = getJsonPointer(['paths', node.meta.path, node.meta.method]);
+
           try {
             ({ request, collectionVariables } = resolvePostmanRequest(context,
               context.openapi.paths[node.meta.path],
@@ -103,10 +219,13 @@ module.exports = {
             requestObject = generateRequestItemObject(request);
           }
           catch (error) {
-            console.error(error);
+            reportSkippedOperation(context, error, node.meta.method, node.meta.path);
             break;
           }
 
+          addOperationReference(context, requestObject,
+            _.get(context.openapi, ['paths', node.meta.path, node.meta.method]));
+
           collection.variable.push(...collectionVariables);
 
           // find the parent of the request in question
@@ -170,6 +289,8 @@ module.exports = {
             break;
           }
 
+          context.operationPointer = getJsonPointer(['webhooks', node.meta.path, node.meta.method]);
+
           try {
             ({ request, collectionVariables } = resolvePostmanRequest(context,
               context.openapi.webhooks[node.meta.path],
@@ -180,10 +301,13 @@ module.exports = {
             requestObject = generateRequestItemObject(request);
           }
           catch (error) {
-            console.error(error);
+            reportSkippedOperation(context, error, node.meta.method, node.meta.path);
             break;
           }
 
+          addOperationReference(context, requestObject,
+            _.get(context.openapi, ['webhooks', node.meta.path, node.meta.method]));
+
           collection.variable.push(...collectionVariables);
 
           // find the parent of the request in question
@@ -209,16 +333,91 @@ module.exports = {
           break;
         }
 
+        case 'callback~request': {
+          // generate the request form the node
+          let request = {},
+            collectionVariables = [],
+            requestObject = {},
+            callback = _.get(context.openapi,
+              ['paths', node.meta.path, node.meta.method, 'callbacks', node.meta.callbackName]),
+            callbackPathItem;
+
+          context.schemaCache = context.schemaCache || {};
+          context.operationPointer = getJsonPointer(['paths', node.meta.path, node.meta.method, 'callbacks',
+            node.meta.callbackName, node.meta.expression, node.meta.callbackMethod]);
+
+          try {
+            callback = _.has(callback, '$ref') ? resolveRefFromSchema(context, callback.$ref) : callback;
+            callbackPathItem = _.get(callback, node.meta.expression);
+            callbackPathItem = _.has(callbackPathItem, '$ref') ?
+              resolveRefFromSchema(context, callbackPathItem.$ref) : callbackPathItem;
+
+            ({ request, collectionVariables } = resolvePostmanRequest(context,
+              callbackPathItem,
+              node.meta.expression,
+              node.meta.callbackMethod,
+              { isCallback: true }
+            ));
+
+            requestObject = generateRequestItemObject(request);
+          }
+          catch (error) {
+            reportSkippedOperation(context, error, node.meta.callbackMethod, node.meta.expression);
+            break;
+          }
+
+          addOperationReference(context, requestObject, _.get(callbackPathItem, node.meta.callbackMethod));
+
+          // runtime expressions of callback URLs can be shared across callbacks
+          collection.variable = _.unionBy(collection.variable, collectionVariables, 'key');
+
+          // find the parent of the request in question
+          let parent = collectionTree.predecessors(nodeIdentified);
+
+          // this is directed graph, and hence have only one parent.
+          parent = collectionTree.node(parent && parent[0]);
+
+          // if the item construct does not exist add and initialize it to zero
+          if (!parent.ref.item) {
+            parent.ref.item = [];
+          }
+
+          // push the request in the item that is in question
+          parent.ref.item.push(requestObject);
+
+          // set the ref for the newly created request in this.
+          collectionTree.setNode(nodeIdentified,
+            Object.assign(node, {
+              ref: _.last(parent.ref.item)
+            }));
+
+          break;
+        }
+
         default: break;
       }
     });
 
+    delete context.operationPointer;
+
+    const environments = generateEnvironmentsFromOpenAPI(context.openapi, context.computedOptions);
+
+    if (context.computedOptions.deterministicIds) {
+      assignDeterministicIds(collection, environments);
+    }
+
     return cb(null, {
       result: true,
       output: [{
         type: 'collection',
         data: collection
-      }],
+      }, ..._.map(environments, (environment) => {
+        return {
+          type: 'environment',
+          data: environment
+        };
+      })],
+      diagnostics: context.diagnostics,
       analytics: this.analytics || {}
     });
   },
@@ -295,5 +494,153 @@ module.exports = {
 
       return callback(null, retVal);
     });
+  },
+
+  /**
+   *
+   * @description Takes in a HAR log (i.e. captured via browser or proxy) and validates its entries against
+   * the definition. Entries are validated same as transactions of validateTransactionV2(), where
+   * requests of the result are keyed by index of the corresponding entry.
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @param {Object} input - Input containing HAR, with type one of file/json/string
+   * @param {*} callback return
+   * @returns {boolean} validation
+   */
+  validateHARV2(context, input, callback) {
+    let har;
+
+    try {
+      har = readJsonInput(input);
+    }
+    catch (e) {
+      return callback(e instanceof UserError ? e : new UserError(`Provided HAR is invalid: ${e.message}`));
+    }
+
+    // every HAR entry contains request with URL and method
+    if (!_.isArray(_.get(har, 'log.entries')) || !_.every(har.log.entries, (entry) => {
+      return _.isString(_.get(entry, 'request.url')) && _.isString(_.get(entry, 'request.method'));
+    })) {
+      return callback(new UserError('Provided HAR is invalid: log with entries containing request is expected.'));
+    }
+
+    const computedOptions = context.computedOptions,
+      restoreOptions = () => { context.computedOptions = computedOptions; };
+
+    // path variables of captured traffic are always present as part of URL itself
+    context.computedOptions = _.assign({}, computedOptions, { allowUrlPathVarMatching: true });
+
+    // options are restored once validation completes, or if it throws before that
+    try {
+      return module.exports.validateTransactionV2(context, generateTransactionsFromHAR(har.log.entries),
+        (err, result) => {
+          restoreOptions();
+
+          return callback(err, result);
+        });
+    }
+    catch (e) {
+      restoreOptions();
+      throw e;
+    }
+  },
+
+  /**
+   *
+   * @description Takes in a Postman collection and validates its requests and saved examples against the
+   * definition. Auth and variables are resolved same as while sending requests, i.e. auth is inherited from
+   * parent folders or collection and variables are substituted with values of environment or collection.
+   * Requests of the result are keyed by path of the corresponding item (i.e. "Folder/Request").
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @param {Object} collection - Postman collection v2.1
+   * @param {Object} options - Options for validation
+   * @param {Object} options.environment - Postman environment used for variable substitution
+   * @param {*} callback return
+   * @returns {boolean} validation
+   */
+  validateCollection(context, collection, options, callback) {
+    if (!isCollectionV2(collection)) {
+      return callback(new UserError('Provided collection is invalid: Collection v2.1 is expected.'));
+    }
+
+    return module.exports.validateTransactionV2(context,
+      generateTransactionsFromCollection(collection, _.get(options, 'environment')), callback);
+  },
+
+  /**
+   *
+   * @description Takes in a previously generated collection and updates it according to current definition.
+   * Requests are refreshed from the definition while user defined scripts and examples are preserved.
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @param {Object} collection - Previously generated Postman collection v2.1
+   * @param {Object} generatedCollection - Collection generated from current definition
+   * @param {*} callback return
+   * @returns {Object} synchronised collection and report of changes
+   */
+  syncCollectionV2(context, collection, generatedCollection, callback) {
+    let syncResult;
+
+    if (!isCollectionV2(collection)) {
+      return callback(new UserError('Provided collection is invalid: Collection v2.1 is expected.'));
+    }
+
+    try {
+      syncResult = syncCollectionWithOpenAPI(context, collection, generatedCollection);
+    }
+    catch (e) {
+      return callback(e);
+    }
+
+    return callback(null, {
+      result: true,
+      output: [{
+        type: 'collection',
+        data: syncResult.collection
+      }],
+      report: syncResult.report
+    });
+  },
+
+  /**
+   *
+   * @description Takes in a Postman collection v2.1 and converts it to an OpenAPI definition
+   *
+   * @param {Object} input - Input containing collection, with type one of file/json/string
+   * @param {Object} options - Options for conversion
+   * @param {String} options.openapiVersion - Version of OpenAPI definition to generate, one of 3.0/3.1
+   * @param {*} callback return
+   * @returns {Object} conversion result
+   */
+  convertCollectionToOpenAPI(input, options, callback) {
+    let collection,
+      openapi;
+
+    try {
+      collection = readJsonInput(input);
+    }
+    catch (e) {
+      return callback(e instanceof UserError ? e : new UserError(`Provided collection is invalid: ${e.message}`));
+    }
+
+    if (!isCollectionV2(collection)) {
+      return callback(new UserError('Provided collection is invalid: Collection v2.1 is expected.'));
+    }
+
+    try {
+      openapi = generateOpenAPIFromCollection(collection, options);
+    }
+    catch (e) {
+      return callback(e);
+    }
+
+    return callback(null, {
+      result: true,
+      output: [{
+        type: 'openapi',
+        data: openapi
+      }]
+    });
   }
 };
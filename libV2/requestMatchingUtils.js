@@ -1,4 +1,5 @@
-const _ = require('lodash');
+const _ = require('lodash'),
+  { getLogger } = require('../lib/common/logger');
 
 /**
  * Checks if value is postman variable or not
@@ -260,7 +261,7 @@ module.exports = {
       }
     }
     catch (e) {
-      console.warn(
+      getLogger(options).warn(
         'Error decoding request URI endpoint. URI: ', url,
         'Error', e
       );
@@ -3,6 +3,7 @@ const utils = require('./utils');
 
 const schemaFaker = require('../assets/json-schema-faker'),
   _ = require('lodash'),
+  { getLogger } = require('../lib/common/logger'),
   mergeAllOf = require('json-schema-merge-allof'),
   xmlFaker = require('./xmlSchemaFaker.js'),
   URLENCODED = 'application/x-www-form-urlencoded',
@@ -51,6 +52,31 @@ const schemaFaker = require('../assets/json-schema-faker'),
     'double'
   ],
 
+  // Formats understood by the JSON schema validator available to Postman test scripts
+  TEST_SCRIPT_SUPPORTED_FORMATS = [
+    'date', 'time', 'date-time',
+    'uri', 'uri-reference', 'uri-template',
+    'email',
+    'hostname',
+    'ipv4', 'ipv6',
+    'regex',
+    'uuid',
+    'json-pointer'
+  ],
+
+  // Schema keywords that contain sub-schemas which are to be sanitised for test scripts
+  SUB_SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'allOf', 'anyOf', 'oneOf'],
+
+  // OpenAPI specific keywords which are not needed while validating data in test scripts
+  SCHEMA_PROPERTIES_TO_EXCLUDE_FROM_TESTS = [
+    'example',
+    'examples',
+    'xml',
+    'discriminator',
+    'deprecated',
+    'externalDocs'
+  ],
+
   typesMap = {
     integer: {
       int32: '<integer>',
@@ -127,8 +153,10 @@ schemaFaker.option({
 
 let QUERYPARAM = 'query',
   CONVERSION = 'conversion',
+  VALIDATION = 'validation',
   HEADER = 'header',
   PATHPARAM = 'path',
+  COOKIE = 'cookie',
   SCHEMA_TYPES = {
     array: 'array',
     boolean: 'boolean',
@@ -141,6 +169,10 @@ let QUERYPARAM = 'query',
     DEFAULT: 'default', // used for non-request-body data and json
     XML: 'xml' // used for request-body XMLs
   },
+  PARAMETER_SOURCE = {
+    REQUEST: 'REQUEST',
+    RESPONSE: 'RESPONSE'
+  },
   REF_STACK_LIMIT = 30,
   ERR_TOO_MANY_LEVELS = '<Error: Too many levels of nesting to fake this schema>',
 
@@ -252,6 +284,38 @@ let QUERYPARAM = 'query',
     return REF_STACK_LIMIT;
   },
 
+  /**
+   * Records reference that can not be resolved as diagnostic of conversion
+   * @param {Object} context - Global context object
+   * @param {String} $ref - Reference that can not be resolved
+   *
+   * @returns {Object} Returns the value to be used in place of the reference
+   */
+  getUnresolvedRefValue = (context, $ref) => {
+    utils.addDiagnostic(context, {
+      code: 'UNRESOLVED_REF',
+      message: `Reference ${$ref} could not be resolved.`
+    });
+
+    return { value: `reference ${$ref} not found in the OpenAPI spec` };
+  },
+
+  /**
+   * Records truncation of schema exceeding the stack limit as diagnostic of conversion
+   * @param {Object} context - Global context object
+   *
+   * @returns {Object} Returns the value to be used in place of the truncated schema
+   */
+  getStackLimitExceededValue = (context) => {
+    utils.addDiagnostic(context, {
+      code: 'STACK_LIMIT_EXCEEDED',
+      message: `Schema nesting exceeds the limit of ${getRefStackLimit(context.computedOptions.stackLimit)} ` +
+        'levels, deeper levels are not resolved.'
+    });
+
+    return { value: ERR_TOO_MANY_LEVELS };
+  },
+
   /**
    * Resolve a given ref from the schema
    * @param {Object} context - Global context object
@@ -266,7 +330,7 @@ let QUERYPARAM = 'query',
       { stackLimit } = context.computedOptions;
 
     if (stackDepth >= getRefStackLimit(stackLimit)) {
-      return { value: ERR_TOO_MANY_LEVELS };
+      return getStackLimitExceededValue(context);
     }
 
     stackDepth++;
@@ -277,7 +341,7 @@ let QUERYPARAM = 'query',
     }
 
     if (!_.isFunction($ref.split)) {
-      return { value: `reference ${$ref} not found in the OpenAPI spec` };
+      return getUnresolvedRefValue(context, $ref);
     }
 
     let splitRef = $ref.split('/'),
@@ -287,7 +351,7 @@ let QUERYPARAM = 'query',
     // So length should atleast be 4
     if (splitRef.length < 4) {
       // not throwing an error. We didn't find the reference - generate a dummy value
-      return { value: `reference ${$ref} not found in the OpenAPI spec` };
+      return getUnresolvedRefValue(context, $ref);
     }
 
     // something like #/components/schemas/PaginationEnvelope/properties/page
@@ -307,7 +371,7 @@ let QUERYPARAM = 'query',
     resolvedSchema = _getEscaped(specComponents, splitRef);
 
     if (resolvedSchema === undefined) {
-      return { value: 'reference ' + $ref + ' not found in the OpenAPI spec' };
+      return getUnresolvedRefValue(context, $ref);
     }
 
     if (_.get(resolvedSchema, '$ref')) {
@@ -336,7 +400,7 @@ let QUERYPARAM = 'query',
       { stackLimit } = context.computedOptions;
 
     if (stackDepth >= getRefStackLimit(stackLimit)) {
-      return { value: ERR_TOO_MANY_LEVELS };
+      return getStackLimitExceededValue(context);
     }
 
     stackDepth++;
@@ -347,7 +411,7 @@ let QUERYPARAM = 'query',
     }
 
     if (!_.isFunction($ref.split)) {
-      return { value: `reference ${schema.$ref} not found in the OpenAPI spec` };
+      return getUnresolvedRefValue(context, $ref);
     }
 
     let splitRef = $ref.split('/'),
@@ -357,7 +421,7 @@ let QUERYPARAM = 'query',
     // So length should atleast be 4
     if (splitRef.length < 4) {
       // not throwing an error. We didn't find the reference - generate a dummy value
-      return { value: `reference ${$ref} not found in the OpenAPI spec` };
+      return getUnresolvedRefValue(context, $ref);
     }
 
     // something like #/components/schemas/PaginationEnvelope/properties/page
@@ -377,7 +441,7 @@ let QUERYPARAM = 'query',
     resolvedExample = _getEscaped(specComponents, splitRef);
 
     if (resolvedExample === undefined) {
-      return { value: 'reference ' + $ref + ' not found in the OpenAPI spec' };
+      return getUnresolvedRefValue(context, $ref);
     }
 
     if (_.has(resolvedExample, '$ref')) {
@@ -466,7 +530,12 @@ let QUERYPARAM = 'query',
       });
     }
     catch (e) {
-      console.warn('Error while resolving allOf schema: ', e);
+      getLogger(context.computedOptions).warn('Error while resolving allOf schema: ', e);
+      utils.addDiagnostic(context, {
+        code: 'ALLOF_RESOLUTION_FAILED',
+        message: `allOf schema could not be resolved: ${e.message}`
+      });
+
       return { value: '<Error: Could not resolve allOf schema' };
     }
   },
@@ -491,7 +560,7 @@ let QUERYPARAM = 'query',
     const { stackLimit } = context.computedOptions;
 
     if (stack >= getRefStackLimit(stackLimit)) {
-      return { value: ERR_TOO_MANY_LEVELS };
+      return getStackLimitExceededValue(context);
     }
 
     stack++;
@@ -647,6 +716,74 @@ let QUERYPARAM = 'query',
     return schema;
   },
 
+  /**
+   * Removes readOnly properties from request schema and writeOnly properties from response schema
+   * along with their entries in `required`, as such properties are not to be present in respective bodies.
+   * Resolved schema is not modified as it can be shared via schema cache, filtered copy is returned instead.
+   * Related Doc - https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.2.md#schemaObject
+   *
+   * @param {Object} schema - Resolved schema
+   * @param {String} parameterSource - Whether the schema is of request or response (REQUEST | RESPONSE)
+   * @param {Map} filteredSchemas - Map of already filtered schemas, used to handle shared and circular schemas
+   * @returns {Object} Filtered schema
+   */
+  filterSchemaForParameterSource = (schema, parameterSource, filteredSchemas = new Map()) => {
+    if (!_.isObject(schema) || _.isArray(schema)) {
+      return schema;
+    }
+
+    if (filteredSchemas.has(schema)) {
+      return filteredSchemas.get(schema);
+    }
+
+    const keywordToExclude = parameterSource === PARAMETER_SOURCE.REQUEST ? 'readOnly' : 'writeOnly',
+      filteredSchema = Object.assign({}, schema),
+      excludedProperties = [];
+
+    filteredSchemas.set(schema, filteredSchema);
+
+    if (_.isObject(schema.properties)) {
+      filteredSchema.properties = {};
+
+      _.forOwn(schema.properties, (property, propertyName) => {
+        if (_.get(property, keywordToExclude) === true) {
+          excludedProperties.push(propertyName);
+          return;
+        }
+
+        filteredSchema.properties[propertyName] = filterSchemaForParameterSource(property, parameterSource,
+          filteredSchemas);
+      });
+    }
+
+    if (!_.isEmpty(excludedProperties)) {
+      if (_.isArray(schema.required)) {
+        filteredSchema.required = _.difference(schema.required, excludedProperties);
+        _.isEmpty(filteredSchema.required) && (delete filteredSchema.required);
+      }
+
+      if (_.isPlainObject(schema.example)) {
+        filteredSchema.example = _.omit(schema.example, excludedProperties);
+      }
+    }
+
+    _.forEach(['items', 'additionalProperties', 'not'], (keyword) => {
+      if (_.isObject(schema[keyword])) {
+        filteredSchema[keyword] = filterSchemaForParameterSource(schema[keyword], parameterSource, filteredSchemas);
+      }
+    });
+
+    _.forEach(['oneOf', 'anyOf', 'allOf'], (keyword) => {
+      if (_.isArray(schema[keyword])) {
+        filteredSchema[keyword] = _.map(schema[keyword], (subSchema) => {
+          return filterSchemaForParameterSource(subSchema, parameterSource, filteredSchemas);
+        });
+      }
+    });
+
+    return filteredSchema;
+  },
+
   /**
    * Provides information regarding serialisation of param
    *
@@ -696,6 +833,9 @@ let QUERYPARAM = 'query',
       case 'header':
         style = 'simple';
         break;
+      case 'cookie':
+        style = 'form';
+        break;
       default:
         style = 'simple';
         break;
@@ -781,14 +921,36 @@ let QUERYPARAM = 'query',
       return fakedSchema;
     }
     catch (error) {
-      console.warn(
+      getLogger(context.computedOptions).warn(
         'Error faking a schema. Not faking this schema. Schema:', schema,
         'Error', error
       );
+      utils.addDiagnostic(context, {
+        code: 'SCHEMA_FAKING_FAILED',
+        message: `Example value could not be generated from schema: ${error.message}`
+      });
+
       return null;
     }
   },
 
+  /**
+   * Provides handler of errors thrown while generating XML from examples, where such errors are logged
+   * via injected logger and reported as conversion diagnostic.
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @returns {Function} - Error handler
+   */
+  getXMLErrorHandler = (context) => {
+    return (error) => {
+      getLogger(context.computedOptions).error(error);
+      utils.addDiagnostic(context, {
+        code: 'SCHEMA_FAKING_FAILED',
+        message: `XML example could not be generated: ${error.message}`
+      });
+    };
+  },
+
   /**
    * Resolve value of a given parameter
    *
@@ -853,17 +1015,21 @@ let QUERYPARAM = 'query',
 
     try {
       if (schemaFormat === SCHEMA_FORMATS.XML) {
-        return xmlFaker(null, resolvedSchema, indentCharacter, parametersResolution);
+        return xmlFaker(null, resolvedSchema, indentCharacter, parametersResolution, getXMLErrorHandler(context));
       }
 
       // for JSON, the indentCharacter will be applied in the JSON.stringify step later on
       return fakeSchema(context, resolvedSchema, shouldGenerateFromExample);
     }
     catch (e) {
-      console.warn(
+      getLogger(context.computedOptions).warn(
         'Error faking a schema. Not faking this schema. Schema:', resolvedSchema,
         'Error', e
       );
+      utils.addDiagnostic(context, {
+        code: 'SCHEMA_FAKING_FAILED',
+        message: `Example value could not be generated from schema: ${e.message}`
+      });
 
       return '';
     }
@@ -878,6 +1044,28 @@ let QUERYPARAM = 'query',
     return sanitizeUrl(operationPath);
   },
 
+  /**
+   * Resolves URL of callback request from the callback expression.
+   * Runtime expressions (i.e. {$request.body#/callbackUrl}) are replaced with collection variables.
+   *
+   * @param {String} expression - Callback expression (i.e. {$request.body#/callbackUrl}/data)
+   * @returns {Object} URL of callback request and collection variables used in it
+   */
+  resolveUrlForCallbackRequest = (expression) => {
+    let collectionVariables = [],
+      url = _.isString(expression) ? expression.replace(/\{(\$[^{}]+)\}/g, (match, runtimeExpression) => {
+        let variable = _.trimStart(_.last(runtimeExpression.split(/[#/.]/)), '$');
+
+        if (!_.some(collectionVariables, ['key', variable])) {
+          collectionVariables.push({ key: variable, value: '' });
+        }
+
+        return `{{${variable}}}`;
+      }) : '';
+
+    return { url: sanitizeUrl(url), collectionVariables };
+  },
+
   /**
    * Recursively extracts key-value pair from deep objects.
    *
@@ -965,6 +1153,10 @@ let QUERYPARAM = 'query',
         }
         else if (_.isArray(paramValue)) {
           isNotSerializable = true;
+          utils.addDiagnostic(context, {
+            code: 'UNSUPPORTED_FEATURE',
+            message: `Array value of parameter "${paramName}" can not be serialised with "deepObject" style.`
+          });
           pmParams.push({
             key: paramName,
             value: '<Error: Not supported in OAS>',
@@ -1075,7 +1267,8 @@ let QUERYPARAM = 'query',
       reqBodySchemaWithExample = Object.assign({}, requestBodySchema, { example: exampleData });
     }
 
-    return xmlFaker(null, reqBodySchemaWithExample, indentCharacter, parametersResolution);
+    return xmlFaker(null, reqBodySchemaWithExample, indentCharacter, parametersResolution,
+      getXMLErrorHandler(context));
   },
 
   /**
@@ -1268,7 +1461,8 @@ let QUERYPARAM = 'query',
     examples = requestBodySchema.examples || _.get(requestBodySchema, 'schema.examples');
 
     requestBodySchema = requestBodySchema.schema || requestBodySchema;
-    requestBodySchema = resolveSchema(context, requestBodySchema);
+    requestBodySchema = filterSchemaForParameterSource(resolveSchema(context, requestBodySchema),
+      isExampleBody ? PARAMETER_SOURCE.RESPONSE : PARAMETER_SOURCE.REQUEST);
 
     // If schema object has example defined, try to use that if no example is defiend at request body level
     if (example === undefined && _.get(requestBodySchema, 'example') !== undefined) {
@@ -1326,10 +1520,14 @@ let QUERYPARAM = 'query',
           bodyData = fakeSchema(context, requestBodySchema, shouldGenerateFromExample);
         }
         catch (e) {
-          console.warn(
+          getLogger(context.computedOptions).warn(
             'Error faking a schema. Not faking this schema. Schema:', requestBodySchema,
             'Error', e.message
           );
+          utils.addDiagnostic(context, {
+            code: 'SCHEMA_FAKING_FAILED',
+            message: `Example value could not be generated from schema: ${e.message}`
+          });
 
           bodyData = '';
         }
@@ -1363,6 +1561,89 @@ let QUERYPARAM = 'query',
     return [{ [bodyKey]: bodyData }];
   },
 
+  /**
+   * Resolves bodies for each variant of polymorphic (oneOf / anyOf) JSON body schema.
+   * Variants are generated per discriminator mapping if defined, otherwise per composite schema.
+   * Discriminator property of each variant is set to the value identifying the variant.
+   *
+   * @param {Object} context - Global context object
+   * @param {Object} content - Content object of request / response body
+   * @param {String} bodyType - Content type of the body
+   * @param {String} parameterSource - Whether the body is of request or response (REQUEST | RESPONSE)
+   * @returns {Array} Variants of body, each containing name of variant and raw body
+   */
+  resolvePolymorphicBodyVariants = (context, content, bodyType, parameterSource) => {
+    let { includePolymorphicExamples, polymorphicExamplesLimit, parametersResolution,
+        indentCharacter } = context.computedOptions,
+      mediaTypeObject = _.get(content, bodyType),
+      // schema cache holds already resolved refs, i.e. composite schemas resolved to only first schema
+      rawSchemaContext = Object.assign({}, context, { schemaCache: {} }),
+      schema = _.get(mediaTypeObject, 'schema'),
+      compositeSchemas,
+      discriminator,
+      variants;
+
+    if (!includePolymorphicExamples || getHeaderFamily(bodyType) !== HEADER_TYPE.JSON ||
+      _.has(mediaTypeObject, 'example') || _.has(mediaTypeObject, 'examples')) {
+      return [];
+    }
+
+    if (_.has(schema, '$ref')) {
+      schema = resolveRefFromSchema(rawSchemaContext, schema.$ref);
+    }
+
+    compositeSchemas = _.get(schema, 'oneOf') || _.get(schema, 'anyOf');
+    discriminator = _.get(schema, 'discriminator');
+
+    if (!_.isArray(compositeSchemas) || _.isEmpty(compositeSchemas)) {
+      return [];
+    }
+
+    if (_.isString(_.get(discriminator, 'propertyName')) && !_.isEmpty(discriminator.mapping)) {
+      variants = _.map(discriminator.mapping, (ref, value) => {
+        // mapping can contain schema names as well as references
+        return {
+          name: value,
+          value,
+          schema: { $ref: _.startsWith(ref, '#') ? ref : `#/components/schemas/${ref}` }
+        };
+      });
+    }
+    else {
+      variants = _.map(compositeSchemas, (compositeSchema, index) => {
+        // by default schema name of referenced schema is used as discriminator value
+        const schemaName = _.isString(_.get(compositeSchema, '$ref')) ? _.last(compositeSchema.$ref.split('/')) :
+            undefined,
+          value = _.isString(_.get(discriminator, 'propertyName')) ? schemaName : undefined;
+
+        return {
+          name: value || _.get(compositeSchema, 'title') || schemaName || `Variant ${index + 1}`,
+          value,
+          schema: compositeSchema
+        };
+      });
+    }
+
+    return _.map(_.take(variants, polymorphicExamplesLimit), ({ name, value, schema }) => {
+      let variantSchema = _.cloneDeep(filterSchemaForParameterSource(resolveSchema(context, _.cloneDeep(schema)),
+          parameterSource)),
+        bodyData;
+
+      if (value !== undefined && _.isObject(variantSchema)) {
+        variantSchema.properties = Object.assign({}, variantSchema.properties, {
+          [discriminator.propertyName]: { type: 'string', enum: [value], default: value }
+        });
+      }
+
+      bodyData = fakeSchema(context, variantSchema, parametersResolution === 'example');
+
+      return {
+        name,
+        body: JSON.stringify(bodyData, null, indentCharacter)
+      };
+    });
+  },
+
   resolveUrlEncodedRequestBodyForPostmanRequest = (context, requestBodyContent) => {
     let bodyData = '',
       urlEncodedParams = [],
@@ -1555,9 +1836,16 @@ let QUERYPARAM = 'query',
       }
 
       const { indentCharacter } = context.computedOptions,
-        rawModeData = !_.isObject(bodyData) && _.isFunction(_.get(bodyData, 'toString')) ?
-          bodyData.toString() :
-          JSON.stringify(bodyData, null, indentCharacter);
+        bodyVariants = resolvePolymorphicBodyVariants(context, requestContent, bodyType, PARAMETER_SOURCE.REQUEST);
+
+      let rawModeData = !_.isObject(bodyData) && _.isFunction(_.get(bodyData, 'toString')) ?
+        bodyData.toString() :
+        JSON.stringify(bodyData, null, indentCharacter);
+
+      // use first variant so discriminator property is correctly set for polymorphic body
+      if (!_.isEmpty(bodyVariants)) {
+        rawModeData = bodyVariants[0].body;
+      }
 
       dataToBeReturned = {
         mode: 'raw',
@@ -1735,9 +2023,24 @@ let QUERYPARAM = 'query',
     return pmParams;
   },
 
-  resolveNameForPostmanReqeust = (context, operationItem, requestUrl) => {
+  resolveNameForPostmanReqeust = (context, operationItem, requestUrl, { path, method } = {}) => {
     let reqName,
-      { requestNameSource } = context.computedOptions;
+      { requestNameSource, requestNameTemplate } = context.computedOptions;
+
+    reqName = utils.resolveNameTemplate(requestNameTemplate, {
+      method: _.toUpper(method),
+      path,
+      url: requestUrl,
+      summary: operationItem.summary,
+      operationId: operationItem.operationId,
+      description: operationItem.description,
+      tag: _.head(operationItem.tags)
+    });
+
+    // name resolved from template takes precedence over requestNameSource
+    if (!_.isEmpty(reqName)) {
+      return utils.trimRequestName(reqName);
+    }
 
     switch (requestNameSource) {
       case 'fallback' : {
@@ -1803,6 +2106,101 @@ let QUERYPARAM = 'query',
     return pmParams;
   },
 
+  /**
+   * Finds API key security scheme to be sent as cookie for the request.
+   * The first security requirement that can be represented is used, same as auth of the request.
+   *
+   * @param {Object} openapi - The JSON representation of the OAS spec
+   * @param {Array} securitySet - Security requirements applicable to the request
+   * @returns {Object} API key security scheme in cookie if it is to be used, otherwise undefined
+   */
+  getCookieApiKeySecurityScheme = (openapi, securitySet) => {
+    let cookieApiKey;
+
+    _.forEach(securitySet, (security) => {
+      const securityDef = _.get(openapi, ['securityDefs', _.head(_.keys(security))]);
+
+      if (_.get(securityDef, 'type') === 'apiKey' && _.get(securityDef, 'in') === COOKIE) {
+        cookieApiKey = securityDef;
+        return false;
+      }
+
+      // stop searching if any other security scheme is to be used as auth
+      if (!_.isEmpty(generateAuthForCollectionFromOpenAPI(openapi, [security]))) {
+        return false;
+      }
+    });
+
+    return cookieApiKey;
+  },
+
+  /**
+   * Resolves Cookie header from cookie parameters and API key security schemes sent as cookie.
+   * Cookie parameters are serialised with style "form" as defined by OpenAPI.
+   *
+   * @param {Object} context - Global context object
+   * @param {Object} operationItem - Path item object containing the operation
+   * @param {String} method - HTTP method of the operation
+   * @returns {Array} Cookie header if any cookies are to be sent, otherwise empty array
+   */
+  resolveCookieHeaderForPostmanRequest = (context, operationItem, method) => {
+    const params = resolvePathItemParams(context, operationItem[method].parameters, operationItem.parameters),
+      { includeDeprecated } = context.computedOptions,
+      securitySet = _.has(operationItem[method], 'security') ? operationItem[method].security :
+        context.openapi.security,
+      cookieApiKey = getCookieApiKeySecurityScheme(context.openapi, securitySet),
+      cookies = [],
+      descriptions = [];
+
+    // header is disabled only if all of the cookies are optional and disabled
+    let disabled = true;
+
+    _.forEach(params, (param) => {
+      if (!_.isObject(param)) {
+        return;
+      }
+
+      if (_.has(param, '$ref')) {
+        param = resolveSchema(context, param);
+      }
+
+      if (param.in !== COOKIE || (!includeDeprecated && param.deprecated)) {
+        return;
+      }
+
+      let paramValue = resolveValueOfParameter(context, param),
+        description = getParameterDescription(param);
+
+      if (typeof paramValue === 'number' || typeof paramValue === 'boolean') {
+        paramValue = paramValue.toString();
+      }
+
+      _.forEach(serialiseParamsBasedOnStyle(context, param, paramValue), (cookie) => {
+        cookies.push(`${cookie.key}=${cookie.value}`);
+        disabled = disabled && cookie.disabled;
+      });
+
+      description && descriptions.push(`${param.name}: ${_.trim(description)}`);
+    });
+
+    if (cookieApiKey && _.isString(cookieApiKey.name)) {
+      cookies.push(`${cookieApiKey.name}={{apiKey}}`);
+      descriptions.push(`${cookieApiKey.name}: Added as a part of security scheme: apikey`);
+      disabled = false;
+    }
+
+    if (_.isEmpty(cookies)) {
+      return [];
+    }
+
+    return [{
+      key: 'Cookie',
+      value: cookies.join('; '),
+      description: descriptions.join('\n'),
+      disabled
+    }];
+  },
+
   /**
    * Resolve the responses from definition which will be converted to request examples.
    * This includes both request and response body of corresponding example.
@@ -1999,8 +2397,301 @@ let QUERYPARAM = 'query',
     return responseAuthHelper;
   },
 
+  /**
+   * Generates condition to be used in scripts that checks whether received response is of given status code.
+   * Status code ranges (i.e. 2XX) are also supported.
+   *
+   * @param {String} code - Status code of response defined in the specification
+   * @returns {String} - Script condition, null for `default` and invalid status codes
+   */
+  getStatusCodeCondition = (code) => {
+    if ((/^[1-5]XX$/i).test(code)) {
+      return `Math.floor(pm.response.code / 100) === ${code.charAt(0)}`;
+    }
+
+    if ((/^\d{3}$/).test(code)) {
+      return `pm.response.code === ${code}`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Finds the operation a link points to, via operationId or local operationRef
+   *
+   * @param {Object} context - Global context object
+   * @param {Object} link - Link object defined in the response
+   * @returns {Object} - Path and method of linked operation, null if operation can not be found
+   */
+  findLinkedOperation = (context, link) => {
+    let linkedOperation = null;
+
+    if (_.isString(link.operationId)) {
+      _.forOwn(_.get(context.openapi, 'paths'), (pathItem, path) => {
+        _.forOwn(pathItem, (operation, method) => {
+          if (_.isObject(operation) && operation.operationId === link.operationId) {
+            linkedOperation = { path, method, operationId: link.operationId };
+            return false;
+          }
+        });
+
+        return !linkedOperation;
+      });
+    }
+    // only local references to operations are supported i.e. #/paths/~1users~1{userId}/get
+    else if (_.startsWith(link.operationRef, '#/paths/')) {
+      const [path, method] = _.map(link.operationRef.split('/').slice(2), (elem) => {
+        return decodeURIComponent(elem.replace(/~1/g, '/').replace(/~0/g, '~'));
+      });
+
+      if (_.isObject(_.get(context.openapi, ['paths', path, method]))) {
+        linkedOperation = {
+          path,
+          method,
+          operationId: _.get(context.openapi, ['paths', path, method, 'operationId'])
+        };
+      }
+    }
+
+    return linkedOperation;
+  },
+
+  /**
+   * Provides name of collection variable used to store value of linked parameter
+   *
+   * @param {Object} linkedOperation - Linked operation
+   * @param {String} paramName - Name of linked parameter
+   * @returns {String} - Collection variable name
+   */
+  getLinkVariableName = (linkedOperation, paramName) => {
+    const operationName = linkedOperation.operationId ||
+      _.camelCase(linkedOperation.method + ' ' + linkedOperation.path);
+
+    return `${operationName}.${paramName}`;
+  },
+
+  /**
+   * Parses the parameter key of link object, which can be qualified with parameter location (i.e. path.id)
+   *
+   * @param {String} paramKey - Key of parameter in link object
+   * @returns {Object} - Name and location of parameter
+   */
+  parseLinkParameterKey = (paramKey) => {
+    const [location, ...name] = paramKey.split('.');
+
+    if (name.length && _.includes([PATHPARAM, QUERYPARAM, HEADER, 'cookie'], location)) {
+      return { name: name.join('.'), in: location };
+    }
+
+    return { name: paramKey };
+  },
+
+  /**
+   * Converts a runtime expression defined as link parameter value into equivalent script expression.
+   * Ref: https://github.com/OAI/OpenAPI-Specification/blob/main/versions/3.0.3.md#runtime-expressions
+   *
+   * @param {*} expression - Runtime expression or constant value
+   * @returns {String} - Script expression, null if expression is not supported
+   */
+  getScriptForRuntimeExpression = (expression) => {
+    const getPointerPath = (pointer) => {
+      return JSON.stringify(_.map(_.compact(pointer.split('/')), (elem) => {
+        return decodeURIComponent(elem.replace(/~1/g, '/').replace(/~0/g, '~'));
+      }));
+    };
+
+    let source,
+      pointer;
+
+    // values that are not runtime expressions are treated as constants
+    if (!_.isString(expression) || !_.startsWith(expression, '$')) {
+      return JSON.stringify(expression);
+    }
+
+    switch (expression) {
+      case '$url':
+        return 'pm.request.url.toString()';
+      case '$method':
+        return 'pm.request.method';
+      case '$statusCode':
+        return 'pm.response.code';
+      default:
+        break;
+    }
+
+    [source, pointer] = expression.split('#');
+
+    switch (source) {
+      case '$response.body':
+        return _.isString(pointer) ? `_.get(pm.response.json(), ${getPointerPath(pointer)})` : 'pm.response.text()';
+      case '$request.body':
+        return _.isString(pointer) ?
+          `_.get(JSON.parse(pm.request.body.toString()), ${getPointerPath(pointer)})` :
+          'pm.request.body.toString()';
+      default:
+        break;
+    }
+
+    if (_.startsWith(expression, '$response.header.')) {
+      return `pm.response.headers.get(${JSON.stringify(expression.slice('$response.header.'.length))})`;
+    }
+
+    if (_.startsWith(expression, '$request.header.')) {
+      return `pm.request.headers.get(${JSON.stringify(expression.slice('$request.header.'.length))})`;
+    }
+
+    if (_.startsWith(expression, '$request.query.')) {
+      return `pm.request.url.query.get(${JSON.stringify(expression.slice('$request.query.'.length))})`;
+    }
+
+    if (_.startsWith(expression, '$request.path.')) {
+      return `pm.request.url.variables.get(${JSON.stringify(expression.slice('$request.path.'.length))})`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Generates script that stores values of linked parameters as collection variables.
+   *
+   * @param {Object} context - Global context object
+   * @param {Object} links - Links defined in the response
+   * @returns {Array} - Lines of test script
+   */
+  getLinkScriptForResponse = (context, links) => {
+    const exec = [];
+
+    _.forOwn(links, (link) => {
+      if (_.has(link, '$ref')) {
+        link = resolveRefFromSchema(context, link.$ref);
+      }
+
+      const linkedOperation = _.isObject(link) && findLinkedOperation(context, link);
+
+      if (!linkedOperation) {
+        return;
+      }
+
+      _.forOwn(link.parameters, (expression, paramKey) => {
+        const valueScript = getScriptForRuntimeExpression(expression),
+          { name } = parseLinkParameterKey(paramKey);
+
+        if (!valueScript) {
+          return;
+        }
+
+        exec.push(`pm.collectionVariables.set(${JSON.stringify(getLinkVariableName(linkedOperation, name))}, ` +
+          `${valueScript});`);
+      });
+    });
+
+    return exec;
+  },
+
+  /**
+   * Finds all parameters of operations that are linked from responses of other operations,
+   * and collection variables in which values of these parameters will be stored.
+   *
+   * @param {Object} context - Global context object
+   * @returns {Object} - Linked parameters mapped by operation (path and method)
+   */
+  resolveLinkedParameters = (context) => {
+    const linkedParameters = {};
+
+    context.schemaCache = context.schemaCache || {};
+
+    _.forOwn(_.get(context.openapi, 'paths'), (pathItem) => {
+      _.forOwn(pathItem, (operation) => {
+        _.forOwn(_.get(operation, 'responses'), (responseObj) => {
+          if (_.has(responseObj, '$ref')) {
+            responseObj = resolveRefFromSchema(context, responseObj.$ref);
+          }
+
+          _.forOwn(_.get(responseObj, 'links'), (link) => {
+            if (_.has(link, '$ref')) {
+              link = resolveRefFromSchema(context, link.$ref);
+            }
+
+            const linkedOperation = _.isObject(link) && findLinkedOperation(context, link);
+
+            if (!linkedOperation) {
+              return;
+            }
+
+            _.forOwn(link.parameters, (expression, paramKey) => {
+              const param = parseLinkParameterKey(paramKey),
+                operationKey = `${linkedOperation.path}:${linkedOperation.method}`;
+
+              if (!getScriptForRuntimeExpression(expression)) {
+                return;
+              }
+
+              param.variable = getLinkVariableName(linkedOperation, param.name);
+              linkedParameters[operationKey] = _.unionBy(linkedParameters[operationKey], [param], 'variable');
+            });
+          });
+        });
+      });
+    });
+
+    return linkedParameters;
+  },
+
+  /**
+   * Updates values of parameters that are linked from other operations to use corresponding collection variables
+   *
+   * @param {Array} linkedParams - Linked parameters of the operation
+   * @param {Array} params - Postman params (query, path variables or headers)
+   * @param {String} location - Location of params
+   * @returns {Array} - Updated params
+   */
+  applyLinkedParameters = (linkedParams, params, location) => {
+    _.forEach(params, (param) => {
+      const linkedParam = _.find(linkedParams, (linkedParam) => {
+        return linkedParam.name === param.key && (!linkedParam.in || linkedParam.in === location);
+      });
+
+      if (linkedParam) {
+        param.value = `{{${linkedParam.variable}}}`;
+      }
+    });
+
+    return params;
+  },
+
+  /**
+   * Generates examples for each variant of polymorphic request / response body.
+   * Request and response variants are paired in order they are defined.
+   *
+   * @param {Array} resolvedExamples - Examples resolved for the response
+   * @param {Array} requestVariants - Variants of polymorphic request body
+   * @param {Array} responseVariants - Variants of polymorphic response body
+   * @returns {Array} Examples for each variant (resolved examples if none of the bodies are polymorphic)
+   */
+  resolvePolymorphicExamples = (resolvedExamples, requestVariants, responseVariants) => {
+    const baseExample = _.head(resolvedExamples) || {};
+
+    if (_.isEmpty(requestVariants) && _.isEmpty(responseVariants)) {
+      return resolvedExamples;
+    }
+
+    return _.times(Math.max(requestVariants.length, responseVariants.length), (index) => {
+      const requestVariant = requestVariants[index],
+        responseVariant = responseVariants[index];
+
+      return Object.assign({}, baseExample, {
+        name: undefined,
+        variantName: (responseVariant || requestVariant).name,
+        body: responseVariant ? responseVariant.body : baseExample.body,
+        request: requestVariant ? { body: requestVariant.body } : baseExample.request
+      });
+    });
+  },
+
   resolveResponseForPostmanRequest = (context, operationItem, request) => {
     let responses = [],
+      linkScript = [],
+      requestVariants = [],
       requestBodyExamples = [],
       requestAcceptHeader,
       requestBody = operationItem.requestBody,
@@ -2045,6 +2736,11 @@ let QUERYPARAM = 'query',
             });
           }
         });
+
+        if (_.get(request, 'body.mode') === 'raw') {
+          requestVariants = resolvePolymorphicBodyVariants(context, requestContent, rawBodyType,
+            PARAMETER_SOURCE.REQUEST);
+        }
       }
     }
 
@@ -2055,6 +2751,28 @@ let QUERYPARAM = 'query',
         resolvedExamples = resolveResponseBody(context, responseSchema, requestBodyExamples) || {},
         headers = resolveResponseHeaders(context, responseSchema.headers);
 
+      if (context.computedOptions.includePolymorphicExamples) {
+        const responseContent = _.get(responseSchema, 'content');
+
+        // variants of request body are only added for successful responses to avoid duplicating examples
+        resolvedExamples = resolvePolymorphicExamples(resolvedExamples, _.startsWith(code, '2') ? requestVariants : [],
+          _.isEmpty(responseContent) ? [] :
+            resolvePolymorphicBodyVariants(context, responseContent, getRawBodyType(responseContent),
+              PARAMETER_SOURCE.RESPONSE));
+      }
+
+      if (context.computedOptions.enableRequestChaining) {
+        const responseLinkScript = getLinkScriptForResponse(context, responseSchema.links),
+          condition = getStatusCodeCondition(code);
+
+        if (responseLinkScript.length && condition) {
+          linkScript.push(`if (${condition}) {`, ..._.map(responseLinkScript, (line) => { return '  ' + line; }), '}');
+        }
+        else {
+          linkScript.push(...responseLinkScript);
+        }
+      }
+
       _.forOwn(resolvedExamples, (resolvedExample = {}) => {
         let { body, contentHeader = [], bodyType, acceptHeader, name } = resolvedExample,
           resolvedRequestBody = _.get(resolvedExample, 'request.body'),
@@ -2098,6 +2816,10 @@ let QUERYPARAM = 'query',
           name = _.get(responseSchema, 'description', `${code} response`);
         }
 
+        if (resolvedExample.variantName) {
+          name += ` (${resolvedExample.variantName})`;
+        }
+
         // set accept header value as first found response content's media type
         if (_.isEmpty(requestAcceptHeader)) {
           requestAcceptHeader = acceptHeader;
@@ -2116,11 +2838,200 @@ let QUERYPARAM = 'query',
       });
     });
 
-    return { responses, acceptHeader: requestAcceptHeader };
+    return { responses, acceptHeader: requestAcceptHeader, linkScript };
+  },
+
+  /**
+   * Sanitises resolved schema so it can be used with pm.response.to.have.jsonSchema() in test scripts.
+   * Unsupported formats and OpenAPI specific keywords are removed and `nullable` is converted to a JSON schema type.
+   *
+   * @param {*} schema - Resolved schema
+   * @returns {*} - Sanitised schema
+   */
+  sanitizeSchemaForTestScript = (schema) => {
+    if (!_.isObject(schema) || _.isArray(schema)) {
+      return schema;
+    }
+
+    let sanitizedSchema = {};
+
+    _.forOwn(schema, (value, key) => {
+      if (_.includes(SCHEMA_PROPERTIES_TO_EXCLUDE_FROM_TESTS, key) ||
+        (key === 'format' && !_.includes(TEST_SCRIPT_SUPPORTED_FORMATS, value))) {
+        return;
+      }
+
+      if (key === 'properties' && _.isObject(value)) {
+        sanitizedSchema.properties = _.mapValues(value, sanitizeSchemaForTestScript);
+      }
+      else if (_.includes(SUB_SCHEMA_KEYWORDS, key)) {
+        sanitizedSchema[key] = _.isArray(value) ? _.map(value, sanitizeSchemaForTestScript) :
+          sanitizeSchemaForTestScript(value);
+      }
+      else {
+        sanitizedSchema[key] = value;
+      }
+    });
+
+    if (sanitizedSchema.nullable === true && _.isString(sanitizedSchema.type)) {
+      sanitizedSchema.type = [sanitizedSchema.type, 'null'];
+    }
+    delete sanitizedSchema.nullable;
+
+    return sanitizedSchema;
+  },
+
+  /**
+   * Generates assertions for a single documented response i.e. presence of required headers
+   * and validation of JSON body against the response schema.
+   *
+   * @param {Object} context - Global context object
+   * @param {Object} responseObj - Response object defined in the operation
+   * @returns {Array} - Lines of test script
+   */
+  getTestScriptForResponse = (context, responseObj) => {
+    const { includeDeprecated } = context.computedOptions,
+      exec = [];
+
+    let responseSchema = _.has(responseObj, '$ref') ? resolveSchema(context, responseObj) : responseObj,
+      responseHeaders = _.get(responseSchema, 'headers'),
+      jsonContentType;
+
+    if (_.has(responseHeaders, '$ref')) {
+      responseHeaders = resolveSchema(context, responseHeaders);
+    }
+
+    _.forOwn(responseHeaders, (header, headerName) => {
+      if (_.has(header, '$ref')) {
+        header = resolveSchema(context, header);
+      }
+
+      // Content-Type defined as response header is ignored as per the OpenAPI specification
+      if (!_.isObject(header) || header.required !== true || _.toLower(headerName) === 'content-type' ||
+        (!includeDeprecated && header.deprecated)) {
+        return;
+      }
+
+      exec.push(
+        `pm.test(${JSON.stringify(`Response has required header ${headerName}`)}, function () {`,
+        `  pm.response.to.have.header(${JSON.stringify(headerName)});`,
+        '});'
+      );
+    });
+
+    jsonContentType = _.findKey(_.get(responseSchema, 'content'), (content, contentType) => {
+      return getHeaderFamily(contentType) === HEADER_TYPE.JSON && _.has(content, 'schema');
+    });
+
+    if (jsonContentType) {
+      const resolvedSchema = filterSchemaForParameterSource(resolveSchema(context,
+        _.cloneDeep(responseSchema.content[jsonContentType].schema), 0, VALIDATION), PARAMETER_SOURCE.RESPONSE);
+
+      exec.push(
+        'pm.test("Response body matches the schema", function () {',
+        `  pm.response.to.have.jsonSchema(${JSON.stringify(sanitizeSchemaForTestScript(resolvedSchema))});`,
+        '});'
+      );
+    }
+
+    return exec;
+  },
+
+  /**
+   * Generates contract test script for the operation. Generated script asserts that the received status code
+   * is documented, and validates the received response against the corresponding documented response.
+   *
+   * @param {Object} context - Global context object
+   * @param {Object} operationItem - Operation object from the untouched copy of definition
+   * @returns {Array} - Lines of test script
+   */
+  resolveTestScriptForPostmanRequest = (context, operationItem) => {
+    /**
+     * Schemas are resolved from the untouched copy of the definition with separate schema cache,
+     * as cached schemas resolved for conversion only contain first element of composite (oneOf/anyOf) schemas.
+     */
+    const testContext = Object.assign({}, context, {
+      schemaCache: {},
+      specComponents: context.contractTestSpec || context.specComponents
+    });
+
+    let statusCodes = [],
+      statusCodeRanges = [],
+      responseBlocks = [],
+      defaultBlock,
+      exec = [];
+
+    _.forOwn(operationItem.responses, (responseObj, code) => {
+      let assertions = getTestScriptForResponse(testContext, responseObj),
+        condition = getStatusCodeCondition(code),
+        isRange = (/^[1-5]XX$/i).test(code);
+
+      if (code === 'default') {
+        defaultBlock = assertions;
+        return;
+      }
+
+      if (!condition) {
+        return;
+      }
+
+      isRange ? statusCodeRanges.push(_.toSafeInteger(code.charAt(0))) : statusCodes.push(_.toSafeInteger(code));
+      assertions.length && responseBlocks.push({ condition, assertions, isRange });
+    });
+
+    // any status code is allowed when default response is defined
+    if (!defaultBlock && (statusCodes.length || statusCodeRanges.length)) {
+      exec.push('pm.test("Status code is documented in the API definition", function () {');
+
+      if (statusCodeRanges.length) {
+        exec.push(
+          '  pm.expect(pm.response.code).to.satisfy(function (code) {',
+          `    return ${JSON.stringify(statusCodes)}.indexOf(code) !== -1 ||`,
+          `      ${JSON.stringify(statusCodeRanges)}.indexOf(Math.floor(code / 100)) !== -1;`,
+          '  }, \'Status code should be documented\');'
+        );
+      }
+      else {
+        exec.push(`  pm.expect(pm.response.code).to.be.oneOf(${JSON.stringify(statusCodes)});`);
+      }
+
+      exec.push('});');
+    }
+
+    // exact status codes take precedence over ranges (2XX)
+    responseBlocks = _.sortBy(responseBlocks, (block) => { return block.isRange ? 1 : 0; });
+
+    _.forEach(responseBlocks, (block, index) => {
+      exec.push(`${index === 0 ? 'if' : 'else if'} (${block.condition}) {`);
+      exec.push(..._.map(block.assertions, (line) => { return '  ' + line; }));
+      exec.push('}');
+    });
+
+    if (!_.isEmpty(defaultBlock)) {
+      if (responseBlocks.length) {
+        exec.push('else {', ..._.map(defaultBlock, (line) => { return '  ' + line; }), '}');
+      }
+      else {
+        exec.push(...defaultBlock);
+      }
+    }
+
+    return exec;
   };
 
 module.exports = {
-  resolvePostmanRequest: function (context, operationItem, path, method) {
+  /**
+   * Resolves postman request for the operation.
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @param {Object} operationItem - Path item object containing the operation
+   * @param {String} path - Path of the operation (or expression of callback)
+   * @param {String} method - HTTP method of the operation
+   * @param {Object} [options] - Additional options
+   * @param {Boolean} [options.isCallback] - Whether the operation is defined as a callback
+   * @returns {Object} Postman request and collection variables used by it
+   */
+  resolvePostmanRequest: function (context, operationItem, path, method, { isCallback } = {}) {
     /**
      * schemaCache object will be used to cache the already resolved refs
      * in the schema.
@@ -2128,22 +3039,39 @@ module.exports = {
     context.schemaCache = context.schemaCache || {};
     context.schemaFakerCache = context.schemaFakerCache || {};
 
-    let url = resolveUrlForPostmanRequest(path),
-      baseUrlData = resolveBaseUrlForPostmanRequest(operationItem[method]),
-      requestName = resolveNameForPostmanReqeust(context, operationItem[method], url),
+    let callbackUrlData = isCallback ? resolveUrlForCallbackRequest(path) : { collectionVariables: [] },
+      url = isCallback ? callbackUrlData.url : resolveUrlForPostmanRequest(path),
+
+      // callback URLs are absolute, so base URL is not to be added
+      baseUrlData = isCallback ? { baseUrl: '', pathVariables: [], collectionVariables: [] } :
+        resolveBaseUrlForPostmanRequest(operationItem[method]),
+      requestName = resolveNameForPostmanReqeust(context, operationItem[method], url, { path, method }),
       queryParams = resolveQueryParamsForPostmanRequest(context, operationItem, method),
-      headers = resolveHeadersForPostmanRequest(context, operationItem, method),
+      headers = resolveHeadersForPostmanRequest(context, operationItem, method)
+        .concat(resolveCookieHeaderForPostmanRequest(context, operationItem, method)),
       pathParams = resolvePathParamsForPostmanRequest(context, operationItem, method),
       { pathVariables, collectionVariables } = filterCollectionAndPathVariables(url, pathParams),
       requestBody = resolveRequestBodyForPostmanRequest(context, operationItem[method]),
       request,
       securitySchema = _.get(operationItem, [method, 'security']),
       authHelper = generateAuthForCollectionFromOpenAPI(context.openapi, securitySchema),
-      { alwaysInheritAuthentication } = context.computedOptions;
+      { alwaysInheritAuthentication, includeContractTests, enableRequestChaining } = context.computedOptions,
+      isPathsOperation = _.get(context.openapi, ['paths', path]) === operationItem,
+      testScript = [];
+
+    // use collection variables populated by linked operations as values of linked parameters
+    if (enableRequestChaining && isPathsOperation) {
+      const linkedParams = _.get(context.linkedParameters, [`${path}:${method}`]);
+
+      applyLinkedParameters(linkedParams, queryParams, QUERYPARAM);
+      applyLinkedParameters(linkedParams, pathVariables, PATHPARAM);
+      applyLinkedParameters(linkedParams, headers, HEADER);
+    }
 
     headers.push(..._.get(requestBody, 'headers', []));
     pathVariables.push(...baseUrlData.pathVariables);
     collectionVariables.push(...baseUrlData.collectionVariables);
+    collectionVariables.push(...callbackUrlData.collectionVariables);
 
     url = _.get(baseUrlData, 'baseUrl', '') + url;
 
@@ -2161,25 +3089,44 @@ module.exports = {
       auth: alwaysInheritAuthentication ? undefined : authHelper
     };
 
-    const { responses, acceptHeader } = resolveResponseForPostmanRequest(context, operationItem[method], request);
+    const { responses, acceptHeader, linkScript } = resolveResponseForPostmanRequest(context,
+      operationItem[method], request);
 
     // add accept header if found and not present already
     if (!_.isEmpty(acceptHeader)) {
       request.headers = _.concat(request.headers, acceptHeader);
     }
 
+    if (includeContractTests) {
+      testScript.push(...resolveTestScriptForPostmanRequest(context, isCallback ? operationItem[method] :
+        _.get(context.contractTestSpec, [isPathsOperation ? 'paths' : 'webhooks', path, method],
+          operationItem[method])));
+    }
+
+    testScript.push(...linkScript);
+
     return {
       request: {
         name: requestName,
         request: Object.assign({}, request, {
           responses
-        })
+        }),
+        event: _.isEmpty(testScript) ? undefined : [{
+          listen: 'test',
+          script: {
+            type: 'text/javascript',
+            exec: testScript
+          }
+        }]
       },
       collectionVariables
     };
   },
 
   resolveResponseForPostmanRequest,
+  resolveLinkedParameters,
   resolveRefFromSchema,
-  resolveSchema
+  resolveSchema,
+  filterSchemaForParameterSource,
+  getCookieApiKeySecurityScheme
 };
@@ -1,8 +1,63 @@
 const sdk = require('postman-collection'),
   _ = require('lodash'),
+  crypto = require('crypto'),
 
   // This is the default collection name if one can't be inferred from the OpenAPI spec
   COLLECTION_NAME = 'Imported from OpenAPI',
+  OPERATION_FILTER_OPTIONS = ['includeTags', 'excludeTags', 'includePaths', 'excludePaths', 'includeMethods',
+    'excludeMethods', 'includeOperationIds', 'excludeOperationIds', 'excludeInternalOperations'],
+
+  /**
+   * Converts glob pattern into regular expression. "**" matches any characters, "*" matches any characters
+   * except "/" and "?" matches single character.
+   *
+   * @param {String} pattern - Glob pattern
+   * @returns {RegExp} corresponding regular expression
+   */
+  globToRegExp = (pattern) => {
+    const source = _.map(_.toString(pattern).split(/(\*\*|\*|\?)/), (part) => {
+      switch (part) {
+        case '**':
+          return '.*';
+        case '*':
+          return '[^/]*';
+        case '?':
+          return '[^/]';
+        default:
+          return _.escapeRegExp(part);
+      }
+    }).join('');
+
+    return new RegExp(`^${source}$`);
+  },
+
+  /**
+   * Checks whether value matches any of the glob patterns
+   *
+   * @param {String} value - Value to check
+   * @param {Array} patterns - Glob patterns
+   * @returns {Boolean} whether any pattern matched
+   */
+  matchesAnyPattern = (value, patterns) => {
+    return _.isString(value) && _.some(patterns, (pattern) => { return globToRegExp(pattern).test(value); });
+  },
+
+  /**
+   * Checks whether tag is allowed by tag filter options
+   *
+   * @param {String} tag - Tag name
+   * @param {Object} options - Computed options
+   * @returns {Boolean} whether tag is allowed
+   */
+  isTagIncluded = (tag, options) => {
+    if (!_.isEmpty(options.includeTags) && !_.includes(options.includeTags, tag)) {
+      return false;
+    }
+
+    return !_.includes(options.excludeTags, tag);
+  },
+  // matches placeholders of naming templates, i.e. "{summary}" or "{summary|operationId}"
+  TEMPLATE_PLACEHOLDER_REGEX = /\{([^{}]+)\}/g,
   generatePmResponseObject = (response) => {
     const requestItem = generateRequestItemObject({ // eslint-disable-line no-use-before-define
         request: response.originalRequest
@@ -199,6 +254,145 @@ module.exports = {
     return title;
   },
 
+  /**
+   * Checks whether any of operation filter options is defined
+   *
+   * @param {Object} options - Computed options
+   * @returns {Boolean} whether operations are to be filtered
+   */
+  hasOperationFilters: function (options) {
+    return _.some(OPERATION_FILTER_OPTIONS, (option) => {
+      return options[option] === true || (_.isArray(options[option]) && !_.isEmpty(options[option]));
+    });
+  },
+
+  /**
+   * Checks whether operation is to be included based on operation filter options, i.e. tags, path glob patterns,
+   * HTTP methods, operationId glob patterns and "x-internal" extension of operation or path item.
+   *
+   * @param {Object} operation - Operation object
+   * @param {String} path - Path of operation
+   * @param {String} method - HTTP method of operation
+   * @param {Object} options - Computed options
+   * @param {Object} pathItem - Path item object containing the operation
+   * @returns {Boolean} whether operation is to be included
+   */
+  isOperationIncluded: function (operation, path, method, options, pathItem) {
+    const tags = _.get(operation, 'tags', []),
+      lowerCaseMethod = _.toLower(method);
+
+    if (options.excludeInternalOperations &&
+      (_.get(operation, 'x-internal') === true || _.get(pathItem, 'x-internal') === true)) {
+      return false;
+    }
+
+    if (!_.isEmpty(options.includeTags) && !_.some(tags, (tag) => { return isTagIncluded(tag, options); })) {
+      return false;
+    }
+
+    if (_.some(tags, (tag) => { return _.includes(options.excludeTags, tag); })) {
+      return false;
+    }
+
+    if ((!_.isEmpty(options.includePaths) && !matchesAnyPattern(path, options.includePaths)) ||
+      matchesAnyPattern(path, options.excludePaths)) {
+      return false;
+    }
+
+    if ((!_.isEmpty(options.includeMethods) &&
+      !_.includes(_.map(options.includeMethods, _.toLower), lowerCaseMethod)) ||
+      _.includes(_.map(options.excludeMethods, _.toLower), lowerCaseMethod)) {
+      return false;
+    }
+
+    if ((!_.isEmpty(options.includeOperationIds) &&
+      !matchesAnyPattern(_.get(operation, 'operationId'), options.includeOperationIds)) ||
+      matchesAnyPattern(_.get(operation, 'operationId'), options.excludeOperationIds)) {
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Resolves naming template (i.e. "{method} {path} - {summary|operationId}") with provided values.
+   * Placeholder can define multiple values separated by "|", where first non-empty value is used.
+   *
+   * @param {String} template - Naming template
+   * @param {Object} values - Values of placeholders usable in template
+   * @returns {String} resolved name, empty string if template doesn't resolve to any value
+   */
+  resolveNameTemplate: function (template, values) {
+    if (!_.isString(template) || _.isEmpty(template)) {
+      return '';
+    }
+
+    return _.trim(template.replace(TEMPLATE_PLACEHOLDER_REGEX, (match, placeholder) => {
+      const value = _.find(_.map(placeholder.split('|'), (key) => {
+        return _.get(values, _.trim(key));
+      }), (value) => { return _.isString(value) && !_.isEmpty(value); });
+
+      return value || '';
+    }));
+  },
+
+  /**
+   * Generates ID in UUID format (name based, version 5) derived from the seed,
+   * so that same seed always results in same ID.
+   *
+   * @param {String} seed - Seed to derive ID from
+   * @returns {String} generated ID
+   */
+  generateDeterministicId: function (seed) {
+    const hash = crypto.createHash('sha1').update(_.toString(seed)).digest('hex');
+
+    return [
+      hash.substring(0, 8),
+      hash.substring(8, 12),
+      '5' + hash.substring(13, 16),
+      ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16) + hash.substring(17, 20),
+      hash.substring(20, 32)
+    ].join('-');
+  },
+
+  /**
+   * Generates JSON pointer (RFC 6901) from given path segments, i.e. ['paths', '/pets', 'get'] => '/paths/~1pets/get'
+   *
+   * @param {Array} segments - Path segments
+   * @returns {String} JSON pointer
+   */
+  getJsonPointer: function (segments) {
+    return _.reduce(segments, (pointer, segment) => {
+      return pointer + '/' + _.toString(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }, '');
+  },
+
+  /**
+   * Records diagnostic (i.e. skipped operation or unresolved reference) to be reported in result of conversion.
+   * JSON pointer of diagnostic defaults to the operation being converted. Same diagnostic is recorded only once.
+   *
+   * @param {Object} context - Required context from related SchemaPack function
+   * @param {Object} diagnostic - Diagnostic containing code, message, severity (error or warning) and JSON pointer
+   * @returns {Object} recorded diagnostic
+   */
+  addDiagnostic: function (context, { code, message, severity = 'warning', jsonPointer }) {
+    const diagnostic = {
+      code,
+      severity,
+      message,
+      jsonPointer: _.isString(jsonPointer) ? jsonPointer : _.get(context, 'operationPointer', '')
+    };
+
+    context.diagnostics = context.diagnostics || [];
+
+    if (!_.some(context.diagnostics, diagnostic)) {
+      context.diagnostics.push(diagnostic);
+    }
+
+    return diagnostic;
+  },
+
+  isTagIncluded,
   generatePmResponseObject,
   generateRequestItemObject
 };
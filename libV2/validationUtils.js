@@ -8,11 +8,14 @@ const _ = require('lodash'),
   schemaFaker = require('../assets/json-schema-faker.js'),
   xmlFaker = require('./xmlSchemaFaker.js'),
   utils = require('./utils'),
+  { getLogger } = require('../lib/common/logger'),
   {
     resolveSchema,
     resolveRefFromSchema,
     resolvePostmanRequest,
-    resolveResponseForPostmanRequest
+    resolveResponseForPostmanRequest,
+    filterSchemaForParameterSource,
+    getCookieApiKeySecurityScheme
   } = require('./schemaUtils'),
   concreteUtils = require('../lib/30XUtils/schemaUtils30X'),
 
@@ -22,6 +25,7 @@ const _ = require('lodash'),
     getServersPathVars } = require('../lib/common/schemaUtilsCommon.js'),
 
   { findMatchingRequestFromSchema, isPmVariable } = require('./requestMatchingUtils'),
+  generateAuthForCollectionFromOpenAPI = require('./helpers/collection/generateAuthForCollectionFromOpenAPI'),
 
   // common global constants
   SCHEMA_FORMATS = {
@@ -67,6 +71,15 @@ const _ = require('lodash'),
 
   OAS_NOT_SUPPORTED = '<Error: Not supported in OAS>',
 
+  // Postman auth types corresponding to schemes of security schemes with type "http"
+  HTTP_AUTH_TYPES = {
+    basic: 'basic',
+    bearer: 'bearer',
+    digest: 'digest',
+    oauth: 'oauth1',
+    oauth1: 'oauth1'
+  },
+
   /**
    * @sujay: this needs to be a better global level setting
    * before we start using the v2 validations everywhere.
@@ -156,6 +169,7 @@ function safeSchemaFaker (context, oldSchema, resolveFor, parameterSourceOption,
    * in further VALIDATION use cases as needed.
    */
   resolvedSchema = resolveSchema(context, _.cloneDeep(oldSchema), 0, _.toLower(PROCESSING_TYPE.CONVERSION));
+  resolvedSchema = filterSchemaForParameterSource(resolvedSchema, parameterSourceOption);
 
   resolvedSchema = concreteUtils.fixExamplesByVersion(resolvedSchema);
   key = JSON.stringify(resolvedSchema);
@@ -216,7 +230,7 @@ function safeSchemaFaker (context, oldSchema, resolveFor, parameterSourceOption,
     return fakedSchema;
   }
   catch (e) {
-    console.warn(
+    getLogger(context.computedOptions).warn(
       'Error faking a schema. Not faking this schema. Schema:', resolvedSchema,
       'Error', e
     );
@@ -428,6 +442,9 @@ function getParamSerialisationInfo (param, parameterSource, components, options)
     case 'header':
       style = 'simple';
       break;
+    case 'cookie':
+      style = 'form';
+      break;
     default:
       style = 'simple';
       break;
@@ -826,7 +843,9 @@ function checkContentTypeHeader (headers, transactionPathPrefix, schemaPathPrefi
         property: mismatchProperty,
         transactionJsonPath: transactionPathPrefix + `[${contentHeaderIndex}].value`,
         schemaJsonPath: schemaPathPrefix,
-        reasonCode: 'INVALID_TYPE',
+        // responses with media type not present in content of documented response are reported separately
+        reasonCode: mismatchProperty === 'RESPONSE_HEADER' && options.reportUndocumentedResponses ?
+          'UNDOCUMENTED_CONTENT_TYPE' : 'INVALID_TYPE',
         reason: `The ${humanPropName} "Content-Type" needs to be "${suggestedContentHeader}",` +
           ` but we found "${contentHeaderMediaType}" instead`
       };
@@ -1336,6 +1355,9 @@ function checkValueAgainstSchema (context, property, jsonPathPrefix, txnParamNam
     compareTypes = _.get(context, 'concreteUtils.compareTypes') || concreteUtils.compareTypes;
 
   if (needJsonMatching) {
+    // readOnly properties are not to be present in request body and writeOnly properties in response body
+    schema = filterSchemaForParameterSource(schema, parameterSourceOption);
+
     try {
       jsonValue = JSON.parse(value);
       // If valid JSON is detected, the parsed value should be used
@@ -1878,18 +1900,163 @@ function checkQueryParams (context, queryParams, transactionPathPrefix, schemaPa
   });
 }
 
+/**
+ * Parses cookies from value of Cookie header. Values of cookies with same name (i.e. exploded arrays)
+ * are combined in a comma separated value.
+ *
+ * @param {String} cookieHeaderValue - Value of Cookie header
+ * @returns {Array} Cookies containing name, value and whether value is combined from multiple cookies
+ */
+function parseCookieHeader (cookieHeaderValue) {
+  let cookies = [];
+
+  _.forEach(_.split(cookieHeaderValue, ';'), (cookie) => {
+    let separatorIndex = cookie.indexOf('='),
+      name = _.trim(separatorIndex === -1 ? cookie : cookie.slice(0, separatorIndex)),
+      value = separatorIndex === -1 ? '' : _.trim(cookie.slice(separatorIndex + 1)),
+      existingCookie = _.find(cookies, ['name', name]);
+
+    if (!name) {
+      return;
+    }
+
+    if (existingCookie) {
+      existingCookie.value += ',' + value;
+      existingCookie.isCombined = true;
+      return;
+    }
+
+    cookies.push({ name, value, isCombined: false });
+  });
+
+  return cookies;
+}
+
+/**
+ * Validates cookies sent via Cookie header against cookie parameters of the schema.
+ * Cookie for API key security scheme is not validated as other auth params.
+ *
+ * @param {Object} context - Required context from related SchemaPack function
+ * @param {Array} headers - Headers of the transaction
+ * @param {String} transactionPathPrefix - JSON path of transaction headers
+ * @param {Array} schemaCookies - Cookie parameters defined in the schema
+ * @param {Object} cookieApiKey - API key security scheme that is sent as cookie
+ * @param {Object} components - Components in the spec that the schema might refer to
+ * @param {Object} options - Global options
+ * @param {Object} schemaCache - object storing schemaFaker and schemaResolution caches
+ * @param {String} jsonSchemaDialect - The schema dialect defined in the OAS object
+ * @param {Function} callback - For return
+ * @returns {Array} array of mismatches
+ */
+function checkRequestCookies (context, headers, transactionPathPrefix, schemaCookies, cookieApiKey,
+  components, options, schemaCache, jsonSchemaDialect, callback) {
+  let cookieHeaderIndex = _.findIndex(headers, (header) => {
+      return _.toLower(_.get(header, 'key')) === 'cookie' && !(options.disabledParametersValidation && header.disabled);
+    }),
+    transactionCookies = cookieHeaderIndex === -1 ? [] : parseCookieHeader(headers[cookieHeaderIndex].value),
+    mismatchProperty = 'HEADER',
+    { includeDeprecated, enableOptionalParameters } = context.computedOptions;
+
+  return async.map(transactionCookies, (cookie, cb) => {
+    let mismatches = [],
+      resolvedParamValue,
+      schemaCookie = _.find(schemaCookies, ['name', cookie.name]);
+
+    if (cookieApiKey && cookie.name === cookieApiKey.name) {
+      return cb(null, mismatches);
+    }
+
+    if (!schemaCookie) {
+      if (options.showMissingInSchemaErrors) {
+        mismatches.push({
+          property: mismatchProperty,
+          transactionJsonPath: transactionPathPrefix + `[${cookieHeaderIndex}].value`,
+          schemaJsonPath: null,
+          reasonCode: 'MISSING_IN_SCHEMA',
+          reason: `The cookie ${cookie.name} was not found in the schema`
+        });
+      }
+      return cb(null, mismatches);
+    }
+
+    // assign parameter example(s) as schema examples;
+    assignParameterExamples(schemaCookie);
+
+    // values of exploded cookies are combined, so deserialise them as non exploded value
+    resolvedParamValue = deserialiseParamValue(cookie.isCombined ? _.assign({}, schemaCookie, { explode: false }) :
+      schemaCookie, cookie.value, PARAMETER_SOURCE.REQUEST, components, options, schemaCache);
+
+    setTimeout(() => {
+      if (!schemaCookie.schema) {
+        // no errors to show if there's no schema present in the spec
+        return cb(null, []);
+      }
+      checkValueAgainstSchema(context,
+        mismatchProperty,
+        transactionPathPrefix + `[${cookieHeaderIndex}].value`,
+        cookie.name,
+        resolvedParamValue,
+        schemaCookie.pathPrefix + '[?(@.name==\'' + schemaCookie.name + '\')]',
+        schemaCookie.schema,
+        PARAMETER_SOURCE.REQUEST,
+        components, options, schemaCache, jsonSchemaDialect, cb
+      );
+    }, 0);
+  }, (err, res) => {
+    let mismatches = [];
+
+    if (err) {
+      return callback(err);
+    }
+
+    _.forEach(schemaCookies, (schemaCookie) => {
+      if (_.find(transactionCookies, ['name', schemaCookie.name]) || schemaCookie.isComposite) {
+        return;
+      }
+
+      if ((schemaCookie.deprecated && !includeDeprecated) || (!VALIDATE_OPTIONAL_PARAMS && !schemaCookie.required)) {
+        return;
+      }
+
+      // If optional parameters are disabled, do not report them as missing
+      if (!enableOptionalParameters && schemaCookie.required !== true) {
+        return;
+      }
+
+      mismatches.push({
+        property: mismatchProperty,
+        transactionJsonPath: transactionPathPrefix,
+        schemaJsonPath: schemaCookie.pathPrefix + '[?(@.name==\'' + schemaCookie.name + '\')]',
+        reasonCode: 'MISSING_IN_REQUEST',
+        reason: `The required cookie "${schemaCookie.name}" was not found in the transaction`
+      });
+    });
+
+    return callback(null, _.concat(_.flatten(res), mismatches));
+  });
+}
+
 function checkRequestHeaders (context, headers, transactionPathPrefix, schemaPathPrefix, schemaPath,
   components, options, schemaCache, jsonSchemaDialect, callback) {
   let schemaHeaders = _.filter(schemaPath.parameters, (param) => { return param.in === 'header'; }),
+    schemaCookies = _.filter(schemaPath.parameters, (param) => { return param.in === 'cookie'; }),
+    cookieApiKey = getCookieApiKeySecurityScheme(context.openapi,
+      _.has(schemaPath, 'security') ? schemaPath.security : _.get(context, 'openapi.security')),
+    hasSchemaCookies = !_.isEmpty(schemaCookies) || !_.isEmpty(cookieApiKey),
     // filter out headers for following cases
     reqHeaders = _.filter(headers, (header) => {
       // 1. If header is disabled
       // 2. which need explicit handling according to schema (other than parameters object)
       // 3. which are added by security schemes
+      // 4. Cookie header if cookies are defined in schema, cookies are validated separately in such cases
       if (options.disabledParametersValidation && header.disabled) {
         return !header.disabled;
       }
 
+      if (hasSchemaCookies && _.toLower(_.get(header, 'key')) === 'cookie') {
+        return false;
+      }
+
       return !_.includes(IMPLICIT_HEADERS, _.toLower(_.get(header, 'key')));
     }),
     mismatchProperty = 'HEADER',
@@ -2012,8 +2179,172 @@ function checkRequestHeaders (context, headers, transactionPathPrefix, schemaPat
         mismatches.push(mismatchObj);
       }
     });
-    return callback(null, _.concat(contentHeaderMismatches, _.flatten(res), mismatches));
+
+    if (!hasSchemaCookies) {
+      return callback(null, _.concat(contentHeaderMismatches, _.flatten(res), mismatches));
+    }
+
+    return checkRequestCookies(context, headers, transactionPathPrefix, schemaCookies, cookieApiKey, components,
+      options, schemaCache, jsonSchemaDialect, (err, cookieMismatches) => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, _.concat(contentHeaderMismatches, _.flatten(res), mismatches, cookieMismatches));
+      });
+  });
+}
+
+/**
+ * Gives value of a parameter from Postman auth object. Both array (v2.1) and object (v2.0) formats are supported.
+ *
+ * @param {Object} auth - Postman auth object
+ * @param {String} key - Key of auth parameter
+ * @returns {*} - Value of auth parameter
+ */
+function getAuthParamValue (auth, key) {
+  const authParams = _.get(auth, _.get(auth, 'type'));
+
+  if (_.isArray(authParams)) {
+    return _.get(_.find(authParams, { key }), 'value');
+  }
+
+  return _.get(authParams, key);
+}
+
+/**
+ * Checks whether request provides credentials for the security scheme, either via Postman auth object or
+ * via equivalent header, query parameter or cookie.
+ *
+ * @param {Object} securityDef - Security scheme object
+ * @param {Object} request - Transaction request
+ * @param {Array} queryParams - Query parameters of request
+ * @param {Object} options - a standard list of options that's globally passed around. Check options.js for more.
+ * @returns {Boolean} - Whether security scheme is satisfied by the request
+ */
+function isSecuritySchemeSatisfied (securityDef, request, queryParams, options) {
+  const authType = _.get(request, 'auth.type'),
+    headers = _.reject(request.header, (header) => { return options.disabledParametersValidation && header.disabled; }),
+    getHeaderValue = (name) => {
+      return _.get(_.find(headers, (header) => { return _.toLower(header.key) === _.toLower(name); }), 'value');
+    },
+    authorizationScheme = _.toLower(_.head(_.split(_.trim(getHeaderValue('authorization')), ' ')));
+
+  if (securityDef.type === 'http') {
+    const scheme = _.toLower(securityDef.scheme);
+
+    return (!_.isNil(HTTP_AUTH_TYPES[scheme]) && authType === HTTP_AUTH_TYPES[scheme]) ||
+      authorizationScheme === (scheme === 'oauth1' ? 'oauth' : scheme);
+  }
+
+  if (securityDef.type === 'oauth2' || securityDef.type === 'openIdConnect') {
+    return authType === 'oauth2' || authorizationScheme === 'bearer';
+  }
+
+  if (securityDef.type === 'apiKey') {
+    if (securityDef.in === 'cookie') {
+      return _.some(parseCookieHeader(getHeaderValue('cookie')), ['name', securityDef.name]);
+    }
+
+    if (authType === 'apikey' && getAuthParamValue(request.auth, 'key') === securityDef.name &&
+      (getAuthParamValue(request.auth, 'in') || 'header') === securityDef.in) {
+      return true;
+    }
+
+    return securityDef.in === 'query' ? _.some(queryParams, ['key', securityDef.name]) :
+      !_.isNil(getHeaderValue(securityDef.name));
+  }
+
+  // security schemes such as mutualTLS can not be validated via request
+  return true;
+}
+
+/**
+ * Validates authentication of request against security requirements of operation (or root security
+ * requirements), where at least one of the requirement alternatives is to be satisfied. Requests without auth
+ * inherit it from parent folder or collection, hence are not validated (validateCollection() resolves such auth).
+ *
+ * @param {Object} context - Required context from related SchemaPack function
+ * @param {Object} request - Transaction request
+ * @param {Array} queryParams - Query parameters of request
+ * @param {String} transactionPathPrefix - Transaction path to auth
+ * @param {String} schemaPathPrefix - Schema path to operation
+ * @param {Object} schemaPath - Operation object
+ * @param {Object} options - a standard list of options that's globally passed around. Check options.js for more.
+ * @param {Function} callback - Callback
+ * @returns {Array} found mismatch objects
+ */
+function checkRequestAuth (context, request, queryParams, transactionPathPrefix, schemaPathPrefix, schemaPath,
+  options, callback) {
+  const mismatchProperty = 'AUTH',
+    hasOperationSecurity = _.has(schemaPath, 'security'),
+    securitySet = hasOperationSecurity ? schemaPath.security : _.get(context, 'openapi.security'),
+    securityDefs = _.get(context, 'openapi.securityDefs', {});
+
+  let authHelper,
+    mismatchObj,
+    requirementNames,
+    isSatisfied,
+    authType = _.get(request, 'auth.type');
+
+  if (options.validationPropertiesToIgnore.includes(mismatchProperty)) {
+    return callback(null, []);
+  }
+
+  // auth inherited from parent folder or collection is not part of transaction and can not be validated
+  if (_.isNil(request.auth) || _.isEmpty(securitySet)) {
+    return callback(null, []);
+  }
+
+  isSatisfied = _.some(securitySet, (securityRequirement) => {
+    return _.every(_.keys(securityRequirement), (securitySchemeName) => {
+      const securityDef = securityDefs[securitySchemeName];
+
+      // undefined security schemes can not be validated
+      return !_.isObject(securityDef) || isSecuritySchemeSatisfied(securityDef, request, queryParams, options);
+    });
   });
+
+  if (isSatisfied) {
+    return callback(null, []);
+  }
+
+  authHelper = generateAuthForCollectionFromOpenAPI(context.openapi, securitySet);
+  requirementNames = _.map(securitySet, (securityRequirement) => {
+    return `"${_.keys(securityRequirement).join(' + ')}"`;
+  }).join(' or ');
+
+  if (_.isEmpty(authType) || authType === 'noauth') {
+    mismatchObj = {
+      property: mismatchProperty,
+      transactionJsonPath: transactionPathPrefix,
+      schemaJsonPath: hasOperationSecurity ? schemaPathPrefix + '.security' : '$.security',
+      reasonCode: 'MISSING_IN_REQUEST',
+      reason: `The request authentication for security requirement ${requirementNames} was not found in the` +
+        ' transaction'
+    };
+  }
+  else {
+    mismatchObj = {
+      property: mismatchProperty,
+      transactionJsonPath: transactionPathPrefix + '.type',
+      schemaJsonPath: hasOperationSecurity ? schemaPathPrefix + '.security' : '$.security',
+      reasonCode: 'INVALID_TYPE',
+      reason: `The request authentication needs to satisfy security requirement ${requirementNames},` +
+        ` but we found "${authType}" auth instead`
+    };
+  }
+
+  // API keys sent as cookie can not be represented via Postman auth
+  if (options.suggestAvailableFixes && !_.isEmpty(authHelper) && authHelper.type !== 'noauth') {
+    mismatchObj.suggestedFix = {
+      key: 'auth',
+      actualValue: request.auth,
+      suggestedValue: authHelper
+    };
+  }
+
+  return callback(null, [mismatchObj]);
 }
 
 function checkResponseHeaders (context, schemaResponse, headers, transactionPathPrefix, schemaPathPrefix,
@@ -2200,8 +2531,8 @@ function checkRequestBody (context, requestBody, transactionPathPrefix, schemaPa
         return param.value !== OAS_NOT_SUPPORTED;
       });
 
-    urlencodedBodySchema = resolveSchema(context, urlencodedBodySchema,
-      0, PROCESSING_TYPE.VALIDATION);
+    urlencodedBodySchema = filterSchemaForParameterSource(resolveSchema(context, urlencodedBodySchema,
+      0, PROCESSING_TYPE.VALIDATION), PARAMETER_SOURCE.REQUEST);
 
     resolvedSchemaParams = resolveFormParamSchema(urlencodedBodySchema, '', encodingObj,
       filteredUrlEncodedBody, {}, components, options);
@@ -2379,6 +2710,23 @@ function checkResponseBody (context, schemaResponse, body, transactionPathPrefix
   }, 0);
 }
 
+/**
+ * Finds documented status code to be suggested instead of an undocumented one. Codes of same class
+ * (i.e. 404 for 418) are preferred, response code ranges are suggested as their lowest code (2XX as 200).
+ *
+ * @param {Object} schemaResponses - Responses object of operation
+ * @param {String} responseCode - Undocumented response code
+ * @returns {Number} - Suggested status code, null if operation documents no status codes
+ */
+function getSuggestedResponseCode (schemaResponses, responseCode) {
+  const documentedCodes = _.filter(_.map(_.keys(schemaResponses), (code) => {
+    return _.toInteger(_.replace(_.toUpper(code), /X/g, '0'));
+  }), (code) => { return code >= 100 && code < 600; });
+
+  return _.find(documentedCodes, (code) => { return _.toString(code).charAt(0) === responseCode.charAt(0); }) ||
+    _.head(documentedCodes) || null;
+}
+
 function checkResponses (context, transaction, transactionPathPrefix, schemaPathPrefix, schemaPath,
   components, options, schemaCache, jsonSchemaDialect, cb) {
   let matchedResponses = [],
@@ -2391,7 +2739,7 @@ function checkResponses (context, transaction, transactionPathPrefix, schemaPath
   // for each response, find the appropriate response from schemaPath, and then validate response body and headers
   async.map(responses, (response, responseCallback) => {
     let thisResponseCode = _.toString(response.code),
-      thisSchemaResponse = _.get(schemaPath, ['responses', thisResponseCode], _.get(schemaPath, 'responses.default')),
+      thisSchemaResponse = _.get(schemaPath, ['responses', thisResponseCode]),
       responsePathPrefix = thisResponseCode;
 
     // X can be used as wild card character, so response code like 2XX in definition are valid
@@ -2423,8 +2771,30 @@ function checkResponses (context, transaction, transactionPathPrefix, schemaPath
     });
 
     if (!thisSchemaResponse) {
-      let mismatches = [];
-      if (options.showMissingInSchemaErrors) {
+      let mismatches = [],
+        mismatchObj;
+
+      // status codes not documented via exact code, range or default response
+      if (options.reportUndocumentedResponses && !options.validationPropertiesToIgnore.includes(mismatchProperty)) {
+        mismatchObj = {
+          property: mismatchProperty,
+          transactionJsonPath: transactionPathPrefix + `[${response.id}].code`,
+          schemaJsonPath: schemaPathPrefix + '.responses',
+          reasonCode: 'UNDOCUMENTED_STATUS_CODE',
+          reason: `The response status code "${thisResponseCode}" is not documented in the schema`
+        };
+
+        if (options.suggestAvailableFixes) {
+          mismatchObj.suggestedFix = {
+            key: 'code',
+            actualValue: response.code,
+            suggestedValue: getSuggestedResponseCode(_.get(schemaPath, 'responses'), thisResponseCode)
+          };
+        }
+
+        mismatches.push(mismatchObj);
+      }
+      else if (!options.reportUndocumentedResponses && options.showMissingInSchemaErrors) {
         mismatches.push({
           property: mismatchProperty,
           transactionJsonPath: transactionPathPrefix + `[${response.id}]`,
@@ -2433,6 +2803,7 @@ function checkResponses (context, transaction, transactionPathPrefix, schemaPath
           reason: `The response "${thisResponseCode}" was not found in the schema`
         });
       }
+
       return responseCallback(null, {
         id: response.id,
         matched: _.isEmpty(mismatches),
@@ -2469,6 +2840,10 @@ function checkResponses (context, transaction, transactionPathPrefix, schemaPath
       missingResponses = [];
 
     _.each(_.get(schemaPath, 'responses'), (responseObj, responseCode) => {
+      if (_.includes(matchedResponses, responseCode)) {
+        return;
+      }
+
       responseCode = responseCode === 'default' ? '500' : responseCode;
 
       if (!_.includes(matchedResponses, responseCode)) {
@@ -2615,13 +2990,17 @@ module.exports = {
           checkRequestBody(context, transaction.request.body, '$.request.body', matchedPath.jsonPath,
             matchedPath.path, componentsAndPaths, options, schemaCache, jsonSchemaDialect, cb);
         },
+        auth: function(cb) {
+          checkRequestAuth(context, transaction.request, queryParams, '$.request.auth', matchedPath.jsonPath,
+            matchedPath.path, options, cb);
+        },
         responses: function (cb) {
           checkResponses(context, transaction, '$.responses', matchedPath.jsonPath,
             matchedPath.path, componentsAndPaths, options, schemaCache, jsonSchemaDialect, cb);
         }
       }, (err, result) => {
         let allMismatches = _.concat(result.metadata, result.queryparams, result.headers, result.path,
-            result.requestBody),
+            result.requestBody, result.auth),
           responseMismatchesPresent = false,
           retVal,
           responsesResult = result.responses.mismatches,
@@ -2692,9 +3071,11 @@ module.exports = {
       _.forEach(_.keys(schemaPathObj), (pathKey) => {
         schemaJsonPath = `$.paths[${schemaPath}].${_.toLower(pathKey)}`;
         let operationItem = _.get(schemaPathObj, pathKey) || {},
-          shouldValidateDeprecated = shouldAddDeprecatedOperation(operationItem, options);
+          shouldValidateDeprecated = shouldAddDeprecatedOperation(operationItem, options),
+          // operations filtered out during conversion are not reported as missing
+          isIncluded = utils.isOperationIncluded(operationItem, schemaPath, pathKey, options, schemaPathObj);
         if (METHODS.includes(pathKey) && !matchedEndpoints.includes(schemaJsonPath) &&
-        shouldValidateDeprecated) {
+        shouldValidateDeprecated && isIncluded) {
           let mismatchObj = {
             property: 'ENDPOINT',
             transactionJsonPath: null,
@@ -303,7 +303,7 @@ describe('The validator must validate generated collection from schema against s
     suggestedFixProps = ['key', 'actualValue', 'suggestedValue'],
     checkMismatch = (mismatch) => {
       expect(['REQUEST_NAME', 'REQUEST_DESCRIPTION', 'PATHVARIABLE', 'QUERYPARAM', 'HEADER', 'RESPONSE_HEADER',
-        'BODY', 'RESPONSE', 'RESPONSE_BODY', 'ENDPOINT']).to.include(mismatch.property);
+        'BODY', 'RESPONSE', 'RESPONSE_BODY', 'ENDPOINT', 'AUTH']).to.include(mismatch.property);
       expect(mismatch).to.include.keys('transactionJsonPath');
       expect(mismatch).to.include.keys('schemaJsonPath');
       expect(mismatch.reason).to.be.a('string');
@@ -1908,3 +1908,586 @@ describe('Bug fixes', function () {
       });
     });
 });
+
+describe('Validation of readOnly and writeOnly properties', function () {
+  const readOnlyWriteOnlySpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+      '/readOnlyWriteOnly.yaml'), 'utf8'),
+    getTransactions = (requestBody, responseBody) => {
+      return [{
+        id: 'createUser',
+        request: {
+          url: 'https://api.example.com/users',
+          method: 'POST',
+          header: [{ key: 'Content-Type', value: 'application/json' }],
+          body: { mode: 'raw', raw: JSON.stringify(requestBody) }
+        },
+        response: [{
+          id: 'userCreated',
+          code: 201,
+          header: [{ key: 'Content-Type', value: 'application/json' }],
+          body: JSON.stringify(responseBody)
+        }]
+      }];
+    };
+
+  it('should not require readOnly properties in request body and writeOnly properties in response body',
+    function (done) {
+      const schemaPack = new Converter.SchemaPack({ type: 'string', data: readOnlyWriteOnlySpec },
+          { detailedBlobValidation: true }, MODULE_VERSION.V2),
+        transactions = getTransactions(
+          { name: 'John', password: 'secret', address: { street: 'Main street' } },
+          { id: 1, name: 'John', address: { street: 'Main street', verified: true } }
+        );
+
+      schemaPack.validateTransactionV2(transactions, (err, result) => {
+        expect(err).to.be.null;
+
+        const endpoint = result.requests.createUser.endpoints[0];
+
+        expect(endpoint.matched).to.be.true;
+        expect(endpoint.mismatches).to.have.lengthOf(0);
+        expect(endpoint.responses.userCreated.mismatches).to.have.lengthOf(0);
+        return done();
+      });
+    });
+
+  it('should still require properties that are not readOnly / writeOnly', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: readOnlyWriteOnlySpec },
+        { detailedBlobValidation: true }, MODULE_VERSION.V2),
+      transactions = getTransactions({ name: 'John' }, { id: 1 });
+
+    schemaPack.validateTransactionV2(transactions, (err, result) => {
+      expect(err).to.be.null;
+
+      const endpoint = result.requests.createUser.endpoints[0];
+
+      expect(_.map(endpoint.mismatches, 'reason')).to.eql([
+        'The request body property "" should have required property "password"'
+      ]);
+      expect(_.map(endpoint.responses.userCreated.mismatches, 'reason')).to.eql([
+        'The response body property "" should have required property "name"'
+      ]);
+      return done();
+    });
+  });
+});
+
+describe('Validation of cookie parameters', function () {
+  const cookieParamsSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+      '/cookieParams.yaml'), 'utf8'),
+    getTransactions = (cookieHeaderValue) => {
+      return [{
+        id: 'getCart',
+        request: {
+          url: 'https://api.example.com/cart',
+          method: 'GET',
+          header: [{ key: 'X-Request-Id', value: 'abc' }, { key: 'Cookie', value: cookieHeaderValue }]
+        },
+        response: []
+      }];
+    };
+
+  it('should not report cookies sent via Cookie header as mismatches', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: cookieParamsSpec },
+      { showMissingInSchemaErrors: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2(getTransactions('theme=dark; ids=3,4; SESSION=secret'), (err, result) => {
+      expect(err).to.be.null;
+
+      const endpoint = result.requests.getCart.endpoints[0];
+
+      expect(endpoint.mismatches).to.have.lengthOf(0);
+      return done();
+    });
+  });
+
+  it('should report unknown and missing required cookies', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: cookieParamsSpec },
+      { showMissingInSchemaErrors: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2(getTransactions('theme=1; lang=en'), (err, result) => {
+      expect(err).to.be.null;
+
+      const endpoint = result.requests.getCart.endpoints[0];
+
+      expect(_.map(endpoint.mismatches, 'reasonCode')).to.eql(['MISSING_IN_SCHEMA', 'MISSING_IN_REQUEST']);
+      expect(_.map(endpoint.mismatches, 'reason')).to.eql([
+        'The cookie lang was not found in the schema',
+        'The required cookie "ids" was not found in the transaction'
+      ]);
+      expect(endpoint.mismatches[0].transactionJsonPath).to.equal('$.request.header[1].value');
+      return done();
+    });
+  });
+});
+
+describe('Validation with operation filters', function () {
+  const operationFiltersSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+    '/operationFilters.yaml'), 'utf8');
+
+  it('should not report filtered operations as missing endpoints', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: operationFiltersSpec },
+      { includePaths: ['/pets/**', '/admin/*'], excludeInternalOperations: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2([{
+      id: 'listOrders',
+      request: { url: 'https://api.example.com/store/orders', method: 'GET', header: [] },
+      response: []
+    }], (err, result) => {
+      expect(err).to.be.null;
+      expect(_.map(result.missingEndpoints, 'endpoint')).to.eql(['GET /pets/{petId}']);
+      return done();
+    });
+  });
+});
+
+describe('Validation of response status codes and content types', function () {
+  const responseStatusCodesSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+      '/responseStatusCodes.yaml'), 'utf8'),
+    getTransactions = (url, responses) => {
+      return [{
+        id: 'getPets',
+        request: { url, method: 'GET', header: [{ key: 'Accept', value: 'application/json' }] },
+        response: _.map(responses, ([code, contentType], index) => {
+          return {
+            id: 'response' + index,
+            code,
+            header: [{ key: 'Content-Type', value: contentType }],
+            body: '{}'
+          };
+        })
+      }];
+    };
+
+  it('should report undocumented status codes with suggested fix', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec },
+      { suggestAvailableFixes: true, reportUndocumentedResponses: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2(getTransactions('https://api.example.com/pets',
+      [[404, 'application/json'], [302, 'application/json']]), (err, result) => {
+      expect(err).to.be.null;
+
+      const responses = result.requests.getPets.endpoints[0].responses;
+
+      // 404 is documented via 4XX range
+      expect(responses.response0.mismatches).to.have.lengthOf(0);
+      expect(responses.response1.matched).to.be.false;
+      expect(responses.response1.mismatches).to.eql([{
+        property: 'RESPONSE',
+        transactionJsonPath: '$.responses[response1].code',
+        schemaJsonPath: '$.paths[/pets].get.responses',
+        reasonCode: 'UNDOCUMENTED_STATUS_CODE',
+        reason: 'The response status code "302" is not documented in the schema',
+        suggestedFix: { key: 'code', actualValue: 302, suggestedValue: 200 }
+      }]);
+      return done();
+    });
+  });
+
+  it('should not report status codes documented via default response', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec },
+      { reportUndocumentedResponses: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2(getTransactions('https://api.example.com/pets/1',
+      [[200, 'application/json'], [503, 'application/json']]), (err, result) => {
+      expect(err).to.be.null;
+
+      const endpoint = result.requests.getPets.endpoints[0];
+
+      expect(endpoint.responses.response0.mismatches).to.have.lengthOf(0);
+      expect(endpoint.responses.response1.mismatches).to.have.lengthOf(0);
+      expect(endpoint.missingResponses).to.have.lengthOf(0);
+      return done();
+    });
+  });
+
+  it('should report undocumented response content types', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec },
+      { suggestAvailableFixes: true, reportUndocumentedResponses: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2(getTransactions('https://api.example.com/pets',
+      [[200, 'text/html; charset=utf-8']]), (err, result) => {
+      expect(err).to.be.null;
+
+      const mismatch = _.find(result.requests.getPets.endpoints[0].responses.response0.mismatches,
+        { reasonCode: 'UNDOCUMENTED_CONTENT_TYPE' });
+
+      expect(mismatch.property).to.equal('RESPONSE_HEADER');
+      expect(mismatch.transactionJsonPath).to.equal('$.responses[response0].header[0].value');
+      expect(mismatch.schemaJsonPath).to.equal('$.paths[/pets].get.responses.200.content');
+      expect(mismatch.suggestedFix).to.eql({
+        key: 'Content-Type',
+        actualValue: 'text/html; charset=utf-8',
+        suggestedValue: 'application/json'
+      });
+      return done();
+    });
+  });
+
+  it('should not report undocumented status codes when RESPONSE property is ignored', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec },
+      { validationPropertiesToIgnore: ['RESPONSE'], reportUndocumentedResponses: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateTransactionV2(getTransactions('https://api.example.com/pets',
+      [[302, 'application/json']]), (err, result) => {
+      expect(err).to.be.null;
+      expect(result.requests.getPets.endpoints[0].responses.response0.mismatches).to.have.lengthOf(0);
+      return done();
+    });
+  });
+
+  it('should report undocumented responses with previous reason codes if option is disabled', function (done) {
+    async.parallel([
+      (cb) => {
+        new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec }, {}, MODULE_VERSION.V2)
+          .validateTransactionV2(getTransactions('https://api.example.com/pets',
+            [[302, 'application/json'], [200, 'text/html']]), cb);
+      },
+      (cb) => {
+        new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec },
+          { showMissingInSchemaErrors: true }, MODULE_VERSION.V2)
+          .validateTransactionV2(getTransactions('https://api.example.com/pets', [[302, 'application/json']]), cb);
+      }
+    ], (err, [result, missingInSchemaResult]) => {
+      expect(err).to.be.null;
+
+      const responses = result.requests.getPets.endpoints[0].responses;
+
+      expect(responses.response0.mismatches).to.have.lengthOf(0);
+      expect(_.map(responses.response1.mismatches, 'reasonCode')).to.include('INVALID_TYPE');
+      expect(_.map(responses.response1.mismatches, 'reasonCode')).not.to.include('UNDOCUMENTED_CONTENT_TYPE');
+      expect(missingInSchemaResult.requests.getPets.endpoints[0].responses.response0.mismatches).to.eql([{
+        property: 'RESPONSE',
+        transactionJsonPath: '$.responses[response0]',
+        schemaJsonPath: null,
+        reasonCode: 'MISSING_IN_SCHEMA',
+        reason: 'The response "302" was not found in the schema'
+      }]);
+      return done();
+    });
+  });
+});
+
+describe('Validation of request authentication', function () {
+  const securityRequirementsSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+      '/securityRequirements.yaml'), 'utf8'),
+    getTransactions = (method, url, auth, header = []) => {
+      return [{
+        id: 'request',
+        request: { url, method, header, auth },
+        response: []
+      }];
+    },
+    validate = (transactions, options, callback) => {
+      const schemaPack = new Converter.SchemaPack({ type: 'string', data: securityRequirementsSpec },
+        options, MODULE_VERSION.V2);
+
+      schemaPack.validateTransactionV2(transactions, (err, result) => {
+        expect(err).to.be.null;
+        return callback(_.filter(result.requests.request.endpoints[0].mismatches, { property: 'AUTH' }));
+      });
+    };
+
+  it('should report auth of different type than required by root security requirement', function (done) {
+    validate(getTransactions('GET', 'https://api.example.com/pets', {
+      type: 'basic',
+      basic: [{ key: 'username', value: 'user' }, { key: 'password', value: 'secret' }]
+    }), { suggestAvailableFixes: true }, (mismatches) => {
+      expect(mismatches).to.have.lengthOf(1);
+      expect(mismatches[0]).to.deep.include({
+        transactionJsonPath: '$.request.auth.type',
+        schemaJsonPath: '$.security',
+        reasonCode: 'INVALID_TYPE',
+        reason: 'The request authentication needs to satisfy security requirement "bearerAuth", but we found' +
+          ' "basic" auth instead'
+      });
+      expect(mismatches[0].suggestedFix.suggestedValue).to.eql({
+        type: 'bearer',
+        bearer: [{ key: 'token', value: '{{bearerToken}}' }]
+      });
+      return done();
+    });
+  });
+
+  it('should report missing auth for operation security requirement alternatives', function (done) {
+    validate(getTransactions('POST', 'https://api.example.com/pets', { type: 'noauth' }),
+      { suggestAvailableFixes: true }, (mismatches) => {
+        expect(mismatches).to.have.lengthOf(1);
+        expect(mismatches[0]).to.deep.include({
+          transactionJsonPath: '$.request.auth',
+          schemaJsonPath: '$.paths[/pets].post.security',
+          reasonCode: 'MISSING_IN_REQUEST',
+          reason: 'The request authentication for security requirement "apiKeyAuth" or "basicAuth" was not' +
+            ' found in the transaction'
+        });
+        expect(mismatches[0].suggestedFix).to.eql({
+          key: 'auth',
+          actualValue: { type: 'noauth' },
+          suggestedValue: {
+            type: 'apikey',
+            apikey: [
+              { key: 'key', value: 'X-API-Key' },
+              { key: 'value', value: '{{apiKey}}' },
+              { key: 'in', value: 'header' }
+            ]
+          }
+        });
+        return done();
+      });
+  });
+
+  it('should accept credentials sent via equivalent headers or any of the alternatives', function (done) {
+    async.parallel([
+      (cb) => {
+        validate(getTransactions('POST', 'https://api.example.com/pets', { type: 'noauth' },
+          [{ key: 'X-API-Key', value: 'secret' }]), {}, (mismatches) => { cb(null, mismatches); });
+      },
+      (cb) => {
+        validate(getTransactions('POST', 'https://api.example.com/pets', { type: 'basic', basic: [] }), {},
+          (mismatches) => { cb(null, mismatches); });
+      },
+      (cb) => {
+        validate(getTransactions('GET', 'https://api.example.com/pets', { type: 'noauth' },
+          [{ key: 'Authorization', value: 'Bearer token' }]), {}, (mismatches) => { cb(null, mismatches); });
+      },
+      (cb) => {
+        validate(getTransactions('GET', 'https://api.example.com/status', { type: 'noauth' }), {},
+          (mismatches) => { cb(null, mismatches); });
+      }
+    ], (err, results) => {
+      expect(err).to.be.null;
+      expect(_.flatten(results)).to.have.lengthOf(0);
+      return done();
+    });
+  });
+
+  it('should not validate auth inherited from parent or when AUTH property is ignored', function (done) {
+    async.parallel([
+      (cb) => {
+        validate(getTransactions('GET', 'https://api.example.com/pets'), {},
+          (mismatches) => { cb(null, mismatches); });
+      },
+      (cb) => {
+        validate(getTransactions('GET', 'https://api.example.com/pets', { type: 'noauth' }),
+          { validationPropertiesToIgnore: ['AUTH'] }, (mismatches) => { cb(null, mismatches); });
+      }
+    ], (err, results) => {
+      expect(err).to.be.null;
+      expect(_.flatten(results)).to.have.lengthOf(0);
+      return done();
+    });
+  });
+});
+
+describe('Validation of HAR entries', function () {
+  const responseStatusCodesSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+      '/responseStatusCodes.yaml'), 'utf8'),
+    harPath = path.join(__dirname, VALIDATION_DATA_FOLDER_PATH, '/responseStatusCodesTraffic.har'),
+    generateTransactionsFromHAR = require('../../libV2/helpers/validation/generateTransactionsFromHAR');
+
+  it('should validate requests and responses captured in HAR keyed by index of entry', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec }, {},
+      MODULE_VERSION.V2);
+
+    schemaPack.validateHARV2({ type: 'file', data: harPath }, (err, result) => {
+      expect(err).to.be.null;
+      expect(_.keys(result.requests)).to.eql(['0', '1', '2', '3']);
+
+      // path variables present in URL and base64 encoded response body are validated
+      expect(result.requests['0'].endpoints[0].endpoint).to.equal('GET /pets/{petId}');
+      expect(result.requests['0'].endpoints[0].mismatches).to.have.lengthOf(0);
+      expect(result.requests['0'].endpoints[0].responses['0'].mismatches).to.have.lengthOf(0);
+
+      expect(_.map(result.requests['1'].endpoints[0].mismatches, 'reason')).to.eql([
+        'The path variable "petId" needs to be of type integer, but we found "two"'
+      ]);
+      expect(_.map(result.requests['1'].endpoints[0].responses['1'].mismatches, 'reasonCode'))
+        .to.eql(['INVALID_RESPONSE_BODY']);
+
+      // responses of aborted requests are not validated
+      expect(result.requests['2'].endpoints[0].responses).to.be.empty;
+      expect(result.requests['3'].endpoints).to.be.empty;
+
+      // option should not be changed for further validations
+      expect(schemaPack.computedOptions.allowUrlPathVarMatching).to.be.false;
+      return done();
+    });
+  });
+
+  it('should restore options if validation of HAR entries throws', function () {
+    const v2 = require('../../libV2'),
+      validateTransactionV2 = v2.validateTransactionV2,
+      schemaPack = new Converter.SchemaPack({ type: 'string', data: responseStatusCodesSpec }, {},
+        MODULE_VERSION.V2);
+
+    v2.validateTransactionV2 = () => { throw new Error('Validation failed'); };
+
+    try {
+      expect(() => { schemaPack.validateHARV2({ type: 'file', data: harPath }, _.noop); })
+        .to.throw('Validation failed');
+    }
+    finally {
+      v2.validateTransactionV2 = validateTransactionV2;
+    }
+
+    expect(schemaPack.computedOptions.allowUrlPathVarMatching).to.be.false;
+  });
+
+  it('should convert HAR entries into transactions', function () {
+    const har = JSON.parse(fs.readFileSync(harPath, 'utf8')),
+      transactions = generateTransactionsFromHAR(har.log.entries);
+
+    expect(transactions[0].request.header).to.eql([{ key: 'Accept', value: 'application/json' }]);
+    expect(transactions[0].request.auth).to.eql({ type: 'noauth' });
+    expect(transactions[0].response[0].body).to.equal('{"id":1,"name":"doggie"}');
+    expect(transactions[2].response).to.eql([]);
+    expect(transactions[3].request.method).to.equal('POST');
+    expect(transactions[3].request.body).to.eql({
+      mode: 'urlencoded',
+      urlencoded: [{ key: 'name', value: 'rex' }, { key: 'tag', value: 'good boy' }]
+    });
+  });
+
+  it('should validate credentials of HAR entries against security requirements', function (done) {
+    const securityRequirementsSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+        '/securityRequirements.yaml'), 'utf8'),
+      har = {
+        log: {
+          entries: [
+            { request: { method: 'GET', url: 'https://api.example.com/pets', headers: [] } },
+            {
+              request: {
+                method: 'GET',
+                url: 'https://api.example.com/pets',
+                headers: [{ name: 'Authorization', value: 'Bearer token' }]
+              }
+            }
+          ]
+        }
+      };
+
+    new Converter.SchemaPack({ type: 'string', data: securityRequirementsSpec }, {}, MODULE_VERSION.V2)
+      .validateHARV2({ type: 'json', data: har }, (err, result) => {
+        expect(err).to.be.null;
+        expect(result.requests['0'].endpoints[0].mismatches).to.eql([{
+          property: 'AUTH',
+          transactionJsonPath: '$.request.auth',
+          schemaJsonPath: '$.security',
+          reasonCode: 'MISSING_IN_REQUEST',
+          reason: 'The request authentication for security requirement "bearerAuth" was not found in the transaction'
+        }]);
+        expect(result.requests['1'].endpoints[0].mismatches).to.have.lengthOf(0);
+        return done();
+      });
+  });
+
+  it('should reject invalid HAR with UserError', async function () {
+    let error;
+
+    try {
+      await Converter.validateHARV2Async({ type: 'string', data: responseStatusCodesSpec },
+        { type: 'json', data: { log: { entries: [{ response: {} }] } } }, {});
+    }
+    catch (e) {
+      error = e;
+    }
+
+    expect(error.name).to.equal('UserError');
+    expect(error.message).to.equal('Provided HAR is invalid: log with entries containing request is expected.');
+  });
+});
+
+describe('Validation of Postman collections', function () {
+  const securityRequirementsSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_FOLDER_PATH,
+      '/securityRequirements.yaml'), 'utf8'),
+    generateTransactionsFromCollection = require('../../libV2/helpers/validation/generateTransactionsFromCollection'),
+    collection = {
+      info: {
+        name: 'Security requirements',
+        schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+      },
+      auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] },
+      variable: [
+        { key: 'baseUrl', value: 'https://staging.example.com' },
+        { key: 'token', value: 'secret' }
+      ],
+      item: [
+        {
+          name: 'Pets',
+          auth: { type: 'noauth' },
+          item: [
+            { name: 'Create pet', request: { method: 'POST', url: '{{baseUrl}}/pets' } },
+            {
+              name: 'Create pet',
+              request: {
+                method: 'POST',
+                url: '{{baseUrl}}/pets',
+                auth: { type: 'basic', basic: [{ key: 'username', value: 'user' }] }
+              }
+            }
+          ]
+        },
+        {
+          name: 'List pets',
+          request: { method: 'GET', url: '{{baseUrl}}/pets' },
+          response: [
+            { id: 'ok', name: 'OK', code: 200, header: [], body: '' },
+            { id: 'created', name: 'Created', code: 201, header: [], body: '' },
+            { name: 'Without status', header: [], body: '' }
+          ]
+        }
+      ]
+    },
+    environment = { values: [{ key: 'baseUrl', value: 'https://api.example.com', enabled: true }] };
+
+  it('should validate requests and saved examples keyed by item path', function (done) {
+    const schemaPack = new Converter.SchemaPack({ type: 'string', data: securityRequirementsSpec },
+      { reportUndocumentedResponses: true }, MODULE_VERSION.V2);
+
+    schemaPack.validateCollection(collection, { environment }, (err, result) => {
+      expect(err).to.be.null;
+      expect(_.keys(result.requests)).to.eql(['Pets/Create pet', 'Pets/Create pet (2)', 'List pets']);
+
+      // auth of folder overrides auth of collection, while auth of request overrides both
+      expect(_.map(result.requests['Pets/Create pet'].endpoints[0].mismatches, 'reasonCode'))
+        .to.eql(['MISSING_IN_REQUEST']);
+      expect(result.requests['Pets/Create pet (2)'].endpoints[0].mismatches).to.have.lengthOf(0);
+
+      // bearer auth is inherited from collection and saved examples are validated
+      expect(result.requests['List pets'].endpoints[0].mismatches).to.have.lengthOf(0);
+      expect(_.keys(result.requests['List pets'].endpoints[0].responses)).to.eql(['ok', 'created']);
+      expect(result.requests['List pets'].endpoints[0].responses.ok.mismatches).to.have.lengthOf(0);
+      expect(_.map(result.requests['List pets'].endpoints[0].responses.created.mismatches, 'reasonCode'))
+        .to.eql(['UNDOCUMENTED_STATUS_CODE']);
+
+      expect(_.map(result.missingEndpoints, 'endpoint')).to.eql(['GET /status']);
+      return done();
+    });
+  });
+
+  it('should substitute variables with values of environment over values of collection', function () {
+    const transactions = generateTransactionsFromCollection(collection, environment),
+      withoutEnvironment = generateTransactionsFromCollection(collection);
+
+    expect(transactions[2].request.url.host).to.eql(['https://api.example.com']);
+    expect(transactions[2].request.auth.bearer).to.eql([{ key: 'token', value: 'secret', type: 'string' }]);
+    expect(withoutEnvironment[2].request.url.host).to.eql(['https://staging.example.com']);
+    expect(generateTransactionsFromCollection(_.omit(collection, 'auth'))[2].request.auth)
+      .to.eql({ type: 'noauth' });
+  });
+
+  it('should reject invalid collection with UserError', async function () {
+    let error;
+
+    try {
+      await Converter.validateCollectionAsync({ type: 'string', data: securityRequirementsSpec },
+        { item: [] }, {}, { environment });
+    }
+    catch (e) {
+      error = e;
+    }
+
+    expect(error.name).to.equal('UserError');
+    expect(error.message).to.equal('Provided collection is invalid: Collection v2.1 is expected.');
+  });
+});
@@ -1,6 +1,7 @@
 var expect = require('chai').expect,
   fs = require('fs'),
   exec = require('child_process').exec,
+  spawn = require('child_process').spawn,
   collection;
 
 describe('openapi2postmanv2 ', function() {
@@ -32,6 +33,167 @@ describe('openapi2postmanv2 ', function() {
     });
   });
 
+  it('should read spec from stdin and stream collection to stdout', function(done) {
+    exec('cat test/data/valid_openapi/petstore.json | ./bin/openapi2postmanv2.js -s -', function(err, stdout) {
+      expect(err).to.be.null;
+      expect(JSON.parse(stdout).info.name).to.equal('Swagger Petstore');
+      done();
+    });
+  });
+
+  it('should apply options of config file discovered from working directory', function(done) {
+    exec('../../../bin/openapi2postmanv2.js -s ../valid_openapi/petstore.json', { cwd: 'test/data/cliConfig' },
+      function(err, stdout) {
+        expect(err).to.be.null;
+        expect(JSON.parse(stdout).item[0].item[0].name).to.equal('/pets');
+        done();
+      });
+  });
+
+  it('should exit with error for unknown options and invalid option values', function(done) {
+    exec('./bin/openapi2postmanv2.js -s test/data/valid_openapi/petstore.json ' +
+      '-O folderStrategy=Folders,stackLimit=high,unknownOption=true', function(err, stdout, stderr) {
+      expect(err.code).to.equal(2);
+      expect(stdout).to.be.empty;
+      expect(stderr).to.equal('Invalid value "Folders" of option "folderStrategy" provided via -O option, ' +
+        'allowed values are Paths, Tags, Tag groups\n' +
+        'Invalid value "high" of option "stackLimit" provided via -O option, expected an integer\n' +
+        'Unknown option "unknownOption" provided via -O option\n');
+      done();
+    });
+  });
+
+  it('should exit with error for unreadable input files and malformed collections', function(done) {
+    exec('./bin/openapi2postmanv2.js validate test/data/validationData/missingSpec.yaml ' +
+      'test/data/collectionToOpenAPI/collection.json', function(err, stdout, stderr) {
+      expect(err.code).to.equal(2);
+      expect(stderr).to.match(/^Could not read input file .*missingSpec\.yaml: ENOENT/);
+
+      exec('echo "{ invalid" | ./bin/openapi2postmanv2.js validate test/data/validationData/implicitHeaderSpec.yaml -',
+        function(err, stdout, stderr) {
+          expect(err.code).to.equal(2);
+          expect(stderr).to.match(/^Provided collection is invalid: /);
+          expect(stderr).not.to.include('    at ');
+          done();
+        });
+    });
+  });
+
+  it('should write definition converted from collection as YAML to stdout', function(done) {
+    exec('./bin/openapi2postmanv2.js -C test/data/collectionToOpenAPI/collection.json --output-format yaml',
+      function(err, stdout) {
+        expect(err).to.be.null;
+        expect(stdout).to.match(/^openapi: 3\.0\.3\n/);
+        done();
+      });
+  });
+
+  it('should convert collection to OpenAPI definition', function(done) {
+    exec('./bin/openapi2postmanv2.js -C test/data/collectionToOpenAPI/collection.json --openapi-version 3.1',
+      function(err, stdout) {
+        expect(err).to.be.null;
+        expect(stdout).to.include('"openapi":"3.1.0"');
+        expect(stdout).to.include('"/pets/{petId}"');
+        done();
+      });
+  });
+
+  it('should print mismatches grouped by request and exit with non-zero code', function(done) {
+    exec('./bin/openapi2postmanv2.js validate test/data/validationData/implicitHeaderSpec.yaml ' +
+      'test/data/validationData/implicitHeaderCollection.json', function(err, stdout) {
+      expect(err.code).to.equal(1);
+      expect(stdout).to.include('✗ Create a pet (POST /pets)\n' +
+        '    HEADER: The header "header-1" needs to be of type integer, but we found "not a number"');
+      expect(stdout).to.include('1 mismatch(es) found in 1 request(s).');
+      done();
+    });
+  });
+
+  it('should print validation result as JSON with validation options applied', function(done) {
+    exec('./bin/openapi2postmanv2.js validate test/data/validationData/implicitHeaderSpec.yaml ' +
+      'test/data/validationData/implicitHeaderCollection.json -O \'validationPropertiesToIgnore=["HEADER"]\' --json',
+    function(err, stdout) {
+      expect(err).to.be.null;
+      expect(JSON.parse(stdout)).to.deep.include({ result: true, mismatchCount: 0, missingEndpoints: [] });
+      done();
+    });
+  });
+
+  it('should print root files and related files of multi-file spec present in directory', function(done) {
+    exec('./bin/openapi2postmanv2.js detect-roots test/data/relatedFiles', function(err, stdout) {
+      expect(err).to.be.null;
+      expect(stdout).to.include('/missedRef.yaml');
+
+      exec('./bin/openapi2postmanv2.js related-files test/data/relatedFiles -r missedRef.yaml',
+        function(err, stdout) {
+          expect(err).to.be.null;
+          expect(stdout).to.equal('/missedRef.yaml\n    /Pet.yaml\n    /common/Error.yaml (missing)\n');
+          done();
+        });
+    });
+  });
+
+  it('should write bundled multi-file spec as YAML', function(done) {
+    const tempBundleFile = 'tempBundle.yaml';
+
+    exec(`./bin/openapi2postmanv2.js bundle test/data/multiFileSpec -o ${tempBundleFile}`, function(err) {
+      let bundledSpec;
+
+      expect(err).to.be.null;
+      bundledSpec = fs.readFileSync(tempBundleFile, 'utf8');
+      fs.unlinkSync(tempBundleFile);
+      expect(bundledSpec).to.include('openapi: 3.0.0');
+      expect(bundledSpec).to.include('$ref: \'#/components/schemas/_schemas_Pet.yaml\'');
+      done();
+    });
+  });
+
+  it('should convert multi-file spec present in directory via its root file', function(done) {
+    exec('./bin/openapi2postmanv2.js -s test/data/multiFileSpec -o tempOutput.json', function(err) {
+      expect(err).to.be.null;
+      collection = JSON.parse(fs.readFileSync(tempOutputFile, 'utf8'));
+      expect(collection.info.name).to.equal('Multi-file Petstore');
+      expect(collection.item[0].item[0].name).to.equal('List all pets');
+      done();
+    });
+  });
+
+  it('should re-convert watched spec on change and print summary of changed requests', function(done) {
+    const tempSpecFile = 'tempWatchSpec.json',
+      tempWatchOutputFile = 'tempWatchOutput.json';
+
+    let watchProcess,
+      stdout = '';
+
+    this.timeout(10000);
+    fs.copyFileSync('test/data/valid_openapi/petstore.json', tempSpecFile);
+    watchProcess = spawn('./bin/openapi2postmanv2.js', ['-s', tempSpecFile, '-o', tempWatchOutputFile, '--watch']);
+
+    // watch mode never exits by itself, hence process is stopped even if the test times out
+    setTimeout(() => { watchProcess.kill(); }, 9000).unref();
+
+    watchProcess.stdout.on('data', (data) => {
+      stdout += data;
+
+      if (stdout.includes('3 request(s) written to file') && !stdout.includes('added')) {
+        // first conversion is done, rename one path of spec
+        fs.writeFileSync(tempSpecFile, fs.readFileSync(tempSpecFile, 'utf8').replace('"/pets"', '"/animals"'));
+      }
+      // summary is printed line by line, so the last line is awaited
+      else if (stdout.includes('- POST /pets\n')) {
+        watchProcess.kill();
+        collection = JSON.parse(fs.readFileSync(tempWatchOutputFile, 'utf8'));
+        fs.unlinkSync(tempSpecFile);
+        fs.unlinkSync(tempWatchOutputFile);
+
+        expect(stdout).to.include('2 added, 2 removed, 0 changed request(s)\n' +
+          '    + GET /animals\n    + POST /animals\n    - GET /pets\n    - POST /pets\n');
+        expect(collection.item[0].name).to.equal('animals');
+        done();
+      }
+    });
+  });
+
   it('should show appropriate messages for invalid input', function (done) {
     exec('./bin/openapi2postmanv2.js -s test/data/invalid_openapi/multiple-components.yaml',
       function(err, stdout, stderr) {
@@ -0,0 +1,130 @@
+var expect = require('chai').expect,
+  _ = require('lodash'),
+  Converter = require('../../index.js'),
+  fs = require('fs'),
+  path = require('path'),
+  COLLECTION_PATH = '../data/collectionToOpenAPI',
+  collectionFile = path.join(__dirname, COLLECTION_PATH + '/collection.json');
+
+
+describe('convertCollectionToOpenAPI method', function() {
+
+  it('should convert folders to tags and saved examples to responses with inferred schemas', function(done) {
+    Converter.convertCollectionToOpenAPI({ type: 'file', data: collectionFile }, {}, (err, result) => {
+      expect(err).to.be.null;
+      expect(result.result).to.be.true;
+      expect(result.output[0].type).to.equal('openapi');
+
+      const openapi = result.output[0].data,
+        listPets = openapi.paths['/pets'].get;
+
+      expect(openapi.openapi).to.equal('3.0.3');
+      expect(openapi.info).to.eql({
+        title: 'Pet Store',
+        description: 'Collection created before the definition',
+        version: '1.0.0'
+      });
+      expect(openapi.servers).to.eql([{ url: 'https://petstore.example.com/v1' }]);
+      expect(openapi.tags).to.eql([{ name: 'pets', description: 'Everything about pets' }]);
+      expect(listPets.tags).to.eql(['pets']);
+      expect(_.map(listPets.parameters, 'name')).to.eql(['limit', 'X-Trace-Id']);
+      expect(listPets.responses['200'].headers).to.have.property('X-Total-Count');
+      expect(listPets.responses['200'].content['application/json']).to.eql({
+        schema: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { id: { type: 'integer' }, name: { type: 'string' }, tag: { nullable: true } }
+          }
+        },
+        examples: { Pets: { value: [{ id: 1, name: 'Rex', tag: null }] } }
+      });
+      expect(openapi.paths['/pets'].post.requestBody.content['application/json'].schema).to.eql({
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          age: { type: 'integer' },
+          weight: { type: 'number' },
+          vaccinated: { type: 'boolean' }
+        }
+      });
+      expect(openapi.paths['/pets'].post.responses).to.eql({ default: { description: 'Default response' } });
+      done();
+    });
+  });
+
+  it('should convert path variables to path templates and merge requests targeting same path', function(done) {
+    Converter.convertCollectionToOpenAPI({ type: 'file', data: collectionFile }, {}, (err, result) => {
+      expect(err).to.be.null;
+
+      const openapi = result.output[0].data,
+        getPet = openapi.paths['/pets/{petId}'].get;
+
+      expect(_.keys(openapi.paths)).to.eql(['/pets', '/pets/{petId}', '/health', '/reports']);
+      expect(getPet.summary).to.equal('Get pet');
+      expect(getPet.parameters).to.eql([{
+        name: 'petId',
+        in: 'path',
+        required: true,
+        description: 'Id of the pet',
+        schema: { type: 'string' },
+        example: '1'
+      }]);
+      expect(_.keys(getPet.responses)).to.eql(['200', '404']);
+      expect(getPet.responses['404'].content['application/json'].examples).to.have.property('Pet not found');
+      done();
+    });
+  });
+
+  it('should convert auth to security schemes', function(done) {
+    Converter.convertCollectionToOpenAPI({ type: 'file', data: collectionFile }, {}, (err, result) => {
+      expect(err).to.be.null;
+
+      const openapi = result.output[0].data,
+        uploadReport = openapi.paths['/reports'].post;
+
+      expect(openapi.security).to.eql([{ bearerAuth: [] }]);
+      expect(openapi.components.securitySchemes).to.eql({
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyAuth: { type: 'apiKey', name: 'X-API-Key', in: 'header' }
+      });
+      expect(openapi.paths['/pets'].get).to.not.have.property('security');
+      expect(openapi.paths['/health'].get.security).to.eql([]);
+      expect(uploadReport.security).to.eql([{ apiKeyAuth: [] }]);
+      expect(uploadReport.servers).to.eql([{ url: 'https://reports.example.com' }]);
+      expect(uploadReport.requestBody.content['multipart/form-data'].schema.properties.file).to.eql({
+        type: 'string',
+        format: 'binary'
+      });
+      done();
+    });
+  });
+
+  it('should generate OpenAPI 3.1 definition that can be converted back to collection', function(done) {
+    Converter.convertCollectionToOpenAPI({ type: 'string', data: fs.readFileSync(collectionFile, 'utf8') },
+      { openapiVersion: '3.1' }, (err, result) => {
+        expect(err).to.be.null;
+
+        const openapi = result.output[0].data;
+
+        expect(openapi.openapi).to.equal('3.1.0');
+        expect(openapi.paths['/pets'].get.responses['200'].content['application/json'].schema.items.properties.tag)
+          .to.eql({ type: 'null' });
+
+        Converter.convertV2({ type: 'json', data: openapi }, {}, (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(conversionResult.result).to.be.true;
+          expect(conversionResult.output[0].data.info.name).to.equal('Pet Store');
+          done();
+        });
+      });
+  });
+
+  it('should return error for invalid collection', function(done) {
+    Converter.convertCollectionToOpenAPI({ type: 'json', data: { openapi: '3.0.0' } }, {}, (err) => {
+      expect(err.name).to.equal('UserError');
+      expect(err.message).to.equal('Provided collection is invalid: Collection v2.1 is expected.');
+      done();
+    });
+  });
+});
@@ -102,7 +102,27 @@ const expect = require('chai').expect,
   multiExampleRequestResponse =
     path.join(__dirname, VALID_OPENAPI_PATH, '/multiExampleRequestResponse.yaml'),
   multiExampleMatchingRequestResponse =
-    path.join(__dirname, VALID_OPENAPI_PATH, '/multiExampleMatchingRequestResponse.yaml');
+    path.join(__dirname, VALID_OPENAPI_PATH, '/multiExampleMatchingRequestResponse.yaml'),
+  contractTestsSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/contractTests.yaml'),
+  linksSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/links.yaml'),
+  callbacksSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/callbacks.yaml'),
+  openIdConnectAndMutualTLSSpec =
+    path.join(test31SpecDir, '/yaml/openIdConnectAndMutualTLS.yaml'),
+  serverEnvironmentsSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/serverEnvironments.yaml'),
+  polymorphicExamplesSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/polymorphicExamples.yaml'),
+  readOnlyWriteOnlySpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/readOnlyWriteOnly.yaml'),
+  cookieParamsSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/cookieParams.yaml'),
+  operationFiltersSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/operationFilters.yaml'),
+  tagGroupsSpec =
+    path.join(__dirname, VALID_OPENAPI_PATH, '/tagGroups.yaml');
 
 
 describe('The convert v2 Function', function() {
@@ -2603,4 +2623,857 @@ describe('The convert v2 Function', function() {
           });
       });
   });
+
+  describe('includeContractTests option', function() {
+    it('Should not add test scripts to requests by default', function(done) {
+      var openapi = fs.readFileSync(contractTestsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+        expect(conversionResult.output[0].data.item[0].item[0].event).to.eql([]);
+        done();
+      });
+    });
+
+    it('Should add test script asserting status codes, required headers and response body schema', function(done) {
+      var openapi = fs.readFileSync(contractTestsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includeContractTests: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const event = conversionResult.output[0].data.item[0].item[0].event,
+            exec = event[0].script.exec;
+
+          expect(event).to.have.lengthOf(1);
+          expect(event[0].listen).to.eql('test');
+          expect(event[0].script.type).to.eql('text/javascript');
+
+          // 4XX is documented as range
+          expect(exec).to.include('    return [200].indexOf(code) !== -1 ||');
+          expect(exec).to.include('      [4].indexOf(Math.floor(code / 100)) !== -1;');
+          expect(exec).to.include('if (pm.response.code === 200) {');
+          expect(exec).to.include('else if (Math.floor(pm.response.code / 100) === 4) {');
+
+          // only required headers are asserted
+          expect(exec).to.include('    pm.response.to.have.header("x-next");');
+          expect(exec.join('\n')).to.not.include('x-rate-limit');
+          done();
+        });
+    });
+
+    it('Should use response schema resolved for validation in test script', function(done) {
+      var openapi = fs.readFileSync(contractTestsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includeContractTests: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const exec = conversionResult.output[0].data.item[0].item[0].event[0].script.exec,
+            schemaAssertion = _.find(exec, (line) => { return _.includes(line, 'jsonSchema'); }),
+            schema = JSON.parse(schemaAssertion.slice(schemaAssertion.indexOf('(') + 1, -2));
+
+          expect(schema.type).to.eql('array');
+          expect(schema.items.required).to.eql(['id', 'name']);
+
+          // unsupported formats, examples and faked default values should not be present
+          expect(schema.items.properties.id).to.eql({ type: 'integer' });
+          expect(schema.items.properties.name).to.eql({ type: 'string' });
+
+          // nullable is converted to JSON schema type and all composite schemas are kept
+          expect(schema.items.properties.tag).to.eql({ type: ['string', 'null'] });
+          expect(schema.items.properties.owner).to.eql({ oneOf: [{ type: 'string' }, { type: 'integer' }] });
+          done();
+        });
+    });
+
+    it('Should not assert status code when default response is defined', function(done) {
+      var openapi = fs.readFileSync(contractTestsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includeContractTests: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const exec = conversionResult.output[0].data.item[0].item[1].item[0].event[0].script.exec;
+
+          expect(exec[0]).to.eql('if (pm.response.code === 200) {');
+          expect(exec).to.include('else {');
+          expect(exec.join('\n')).to.not.include('Status code is documented');
+          done();
+        });
+    });
+  });
+
+  describe('enableRequestChaining option', function() {
+    it('Should not use links defined in responses by default', function(done) {
+      var openapi = fs.readFileSync(linksSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        const collection = conversionResult.output[0].data;
+
+        expect(err).to.be.null;
+        expect(_.map(collection.variable, 'key')).to.eql(['baseUrl']);
+        expect(collection.item[0].item[0].event).to.eql([]);
+        done();
+      });
+    });
+
+    it('Should store values of linked parameters as collection variables via test script', function(done) {
+      var openapi = fs.readFileSync(linksSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { enableRequestChaining: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const collection = conversionResult.output[0].data,
+            createUser = collection.item[0].item[0];
+
+          expect(createUser.name).to.eql('Create user');
+          expect(createUser.event[0].listen).to.eql('test');
+          expect(createUser.event[0].script.exec).to.eql([
+            'if (pm.response.code === 201) {',
+            '  pm.collectionVariables.set("getUser.userId", _.get(pm.response.json(), ["id"]));',
+            '  pm.collectionVariables.set("getUser.X-Trace-Id", pm.response.headers.get("X-Trace-Id"));',
+            '  pm.collectionVariables.set("putUsersUserId.userId", _.get(pm.response.json(), ["id"]));',
+            '  pm.collectionVariables.set("putUsersUserId.verbose", true);',
+            '}'
+          ]);
+          expect(collection.variable).to.deep.include.members([
+            { key: 'getUser.userId', value: '' },
+            { key: 'getUser.X-Trace-Id', value: '' },
+            { key: 'putUsersUserId.userId', value: '' },
+            { key: 'putUsersUserId.verbose', value: '' }
+          ]);
+          done();
+        });
+    });
+
+    it('Should use collection variables for linked parameters in linked requests', function(done) {
+      var openapi = fs.readFileSync(linksSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { enableRequestChaining: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const userFolder = conversionResult.output[0].data.item[0].item[1],
+            getUser = userFolder.item[0],
+            updateUser = userFolder.item[1];
+
+          // linked via operationId
+          expect(getUser.request.url.variable[0].value).to.eql('{{getUser.userId}}');
+          expect(_.find(getUser.request.header, { key: 'X-Trace-Id' }).value).to.eql('{{getUser.X-Trace-Id}}');
+
+          // linked via operationRef
+          expect(updateUser.request.url.variable[0].value).to.eql('{{putUsersUserId.userId}}');
+          expect(updateUser.request.url.query[0].value).to.eql('{{putUsersUserId.verbose}}');
+          done();
+        });
+    });
+  });
+
+  describe('includeCallbacks option', function() {
+    it('Should not include callbacks of operations by default', function(done) {
+      var openapi = fs.readFileSync(callbacksSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        const collection = conversionResult.output[0].data;
+
+        expect(err).to.be.null;
+        expect(_.map(collection.item[0].item, 'name')).to.eql(['Create subscription', '{id}']);
+        expect(_.map(collection.variable, 'key')).to.eql(['baseUrl']);
+        done();
+      });
+    });
+
+    it('Should add requests of callbacks in a "Callbacks of" folder next to the operation', function(done) {
+      var openapi = fs.readFileSync(callbacksSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includeCallbacks: true }, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        const collection = conversionResult.output[0].data,
+          callbacksFolder = collection.item[0].item[2];
+
+        expect(_.map(collection.item[0].item, 'name')).to.eql(['Create subscription', '{id}',
+          'Callbacks of POST /subscriptions']);
+        expect(callbacksFolder.description).to.eql('Callbacks of POST /subscriptions');
+        expect(_.map(callbacksFolder.item, 'name')).to.eql([
+          'Event notification', 'Deprecated notification', 'Status notification'
+        ]);
+        expect(_.map(callbacksFolder.item, 'request.method')).to.eql(['POST', 'DELETE', 'PUT']);
+
+        // runtime expressions are replaced with collection variables instead of base URL
+        expect(callbacksFolder.item[0].request.url.host).to.eql(['{{callbackUrl}}']);
+        expect(callbacksFolder.item[0].request.url.path).to.eql(['events']);
+        expect(callbacksFolder.item[2].request.url.host).to.eql(['{{callbackUrl}}']);
+        expect(callbacksFolder.item[2].request.url.path).to.eql(['status']);
+        expect(collection.variable).to.eql([
+          { key: 'baseUrl', value: 'https://api.example.com/v1' },
+          { key: 'callbackUrl', value: '' }
+        ]);
+
+        // request bodies are generated from request body schema of callbacks
+        expect(JSON.parse(callbacksFolder.item[0].request.body.raw)).to.eql({ id: '<integer>', type: '<string>' });
+        expect(JSON.parse(callbacksFolder.item[2].request.body.raw)).to.have.property('status');
+        done();
+      });
+    });
+
+    it('Should not include deprecated callbacks with includeDeprecated set to false', function(done) {
+      var openapi = fs.readFileSync(callbacksSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includeCallbacks: true, includeDeprecated: false },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const callbacksFolder = conversionResult.output[0].data.item[0].item[2];
+
+          expect(_.map(callbacksFolder.item, 'name')).to.eql(['Event notification', 'Status notification']);
+          done();
+        });
+    });
+
+    it('Should add uniquely named "Callbacks of" folders for operations of the same path', function(done) {
+      const callback = {
+          onEvent: {
+            '{$request.body#/callbackUrl}': {
+              post: { summary: 'Event notification', responses: { '200': { description: 'OK' } } }
+            }
+          }
+        },
+        openapi = {
+          openapi: '3.0.0',
+          info: { title: 'Callbacks', version: '1.0.0' },
+          paths: {
+            '/subscriptions': {
+              post: { summary: 'Create subscription', callbacks: callback, responses: { 201: { description: 'OK' } } },
+              put: { summary: 'Replace subscription', callbacks: callback, responses: { 200: { description: 'OK' } } }
+            }
+          }
+        };
+
+      Converter.convertV2({ type: 'json', data: openapi }, { includeCallbacks: true }, (err, conversionResult) => {
+        expect(err).to.be.null;
+        expect(_.map(conversionResult.output[0].data.item[0].item, 'name')).to.eql([
+          'Create subscription', 'Replace subscription',
+          'Callbacks of POST /subscriptions', 'Callbacks of PUT /subscriptions'
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('Conversion diagnostics', function() {
+    const silentLogger = { warn: _.noop, error: _.noop },
+      diagnosticsSpec = {
+        openapi: '3.0.0',
+        info: { title: 'Conversion diagnostics', version: '1.0.0' },
+        servers: [{ url: 'https://api.example.com' }],
+        paths: {
+          '/pets': {
+            get: {
+              operationId: 'listPets',
+              responses: {
+                '200': {
+                  description: 'List of pets',
+                  content: {
+                    'application/json': {
+                      schema: { type: 'array', items: { $ref: '#/components/schemas/Missing' } }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '/pets/{petId}': {
+            get: {
+              operationId: 'getPet',
+              security: [null],
+              parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+              responses: { '200': { description: 'Pet' } }
+            }
+          }
+        }
+      };
+
+    it('Should report skipped operations and unresolved references with JSON pointers', function(done) {
+      Converter.convertV2({ type: 'json', data: diagnosticsSpec }, { logger: silentLogger },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(conversionResult.result).to.equal(true);
+          expect(conversionResult.diagnostics).to.have.lengthOf(2);
+          expect(conversionResult.diagnostics[0]).to.eql({
+            code: 'UNRESOLVED_REF',
+            severity: 'warning',
+            message: 'Reference #/components/schemas/Missing could not be resolved.',
+            jsonPointer: '/paths/~1pets/get'
+          });
+          expect(conversionResult.diagnostics[1].code).to.equal('OPERATION_SKIPPED');
+          expect(conversionResult.diagnostics[1].severity).to.equal('error');
+          expect(conversionResult.diagnostics[1].jsonPointer).to.equal('/paths/~1pets~1{petId}/get');
+          expect(conversionResult.diagnostics[1].message)
+            .to.include('Operation GET /pets/{petId} could not be converted');
+
+          // skipped operation should not be present in generated collection
+          expect(_.map(conversionResult.output[0].data.item[0].item, 'name')).to.eql(['list Pets', '{petId}']);
+          expect(conversionResult.output[0].data.item[0].item[1].item).to.be.empty;
+          done();
+        });
+    });
+
+    it('Should log messages via provided logger instead of console', function(done) {
+      var errors = [],
+        logger = { warn: _.noop, error: (...args) => { errors.push(args); } };
+
+      Converter.convertV2({ type: 'json', data: diagnosticsSpec }, { logger }, (err) => {
+        expect(err).to.be.null;
+        expect(errors).to.have.lengthOf(1);
+        expect(errors[0][0]).to.be.an.instanceof(TypeError);
+        done();
+      });
+    });
+
+    it('Should report reached reference resolution stack limit', function(done) {
+      const schemas = {};
+
+      _.times(35, (index) => {
+        schemas['Level' + index] = {
+          type: 'object',
+          properties: { child: { $ref: '#/components/schemas/Level' + (index + 1) } }
+        };
+      });
+      schemas.Level35 = { type: 'string' };
+
+      Converter.convertV2({
+        type: 'json',
+        data: {
+          openapi: '3.0.0',
+          info: { title: 'Deep schema', version: '1.0.0' },
+          paths: {
+            '/deep': {
+              post: {
+                requestBody: {
+                  content: { 'application/json': { schema: { $ref: '#/components/schemas/Level0' } } }
+                },
+                responses: { '200': { description: 'OK' } }
+              }
+            }
+          },
+          components: { schemas }
+        }
+      }, { logger: silentLogger }, (err, conversionResult) => {
+        expect(err).to.be.null;
+        expect(_.map(conversionResult.diagnostics, 'code')).to.include('STACK_LIMIT_EXCEEDED');
+        expect(_.find(conversionResult.diagnostics, { code: 'STACK_LIMIT_EXCEEDED' }).jsonPointer)
+          .to.equal('/paths/~1deep/post');
+        done();
+      });
+    });
+
+    it('Should report unsupported mutualTLS security scheme', function(done) {
+      var openapi = fs.readFileSync(openIdConnectAndMutualTLSSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { logger: silentLogger }, (err, conversionResult) => {
+        expect(err).to.be.null;
+        expect(conversionResult.diagnostics).to.eql([{
+          code: 'UNSUPPORTED_FEATURE',
+          severity: 'warning',
+          message: conversionResult.diagnostics[0].message,
+          jsonPointer: '/components/securitySchemes/mtls'
+        }]);
+        done();
+      });
+    });
+
+    it('Should return empty diagnostics for definition converted without issues', function(done) {
+      var openapi = fs.readFileSync(tagGroupsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+        expect(conversionResult.diagnostics).to.eql([]);
+        done();
+      });
+    });
+  });
+
+  describe('openIdConnect and mutualTLS security schemes', function() {
+    it('Should generate OAuth2 auth with collection variables for openIdConnect security scheme', function(done) {
+      var openapi = fs.readFileSync(openIdConnectAndMutualTLSSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        const collection = conversionResult.output[0].data;
+
+        expect(collection.auth).to.eql({
+          type: 'oauth2',
+          oauth2: [
+            { type: 'any', key: 'clientId', value: '{{oidcClientId}}' },
+            { type: 'any', key: 'clientSecret', value: '{{oidcClientSecret}}' },
+            { type: 'any', key: 'scope', value: '{{oidcScope}}' },
+            { type: 'any', key: 'grant_type', value: 'authorization_code' }
+          ]
+        });
+        expect(collection.variable).to.eql([
+          { key: 'baseUrl', value: 'https://api.example.com/v1' },
+          { key: 'openIdConnectUrl', value: 'https://auth.example.com/.well-known/openid-configuration' },
+          { key: 'oidcClientId', value: '' },
+          { key: 'oidcClientSecret', value: '' },
+          { key: 'oidcScope', value: 'openid profile' }
+        ]);
+        done();
+      });
+    });
+
+    it('Should document security schemes not representable by auth in collection description', function(done) {
+      var openapi = fs.readFileSync(openIdConnectAndMutualTLSSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        const collection = conversionResult.output[0].data;
+
+        expect(collection.info.description.content).to.eql('API secured with OpenID Connect and mutual TLS\n\n' +
+          'Authentication:\n' +
+          '- oidc: OpenID Connect. Authorization and token URLs can be discovered from ' +
+          'https://auth.example.com/.well-known/openid-configuration\n' +
+          '- mtls: Mutual TLS. A client certificate for the API host is required to send requests. ' +
+          'Client certificate issued by the bank');
+
+        // mutualTLS is skipped and next security requirement is used for request auth
+        expect(collection.item[1].item[0].request.auth.type).to.eql('apikey');
+        done();
+      });
+    });
+  });
+
+  describe('environmentGeneration option', function() {
+    it('Should not generate environments by default', function(done) {
+      var openapi = fs.readFileSync(serverEnvironmentsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+        expect(_.map(conversionResult.output, 'type')).to.eql(['collection']);
+        done();
+      });
+    });
+
+    it('Should generate an environment for each server with option set to "Servers"', function(done) {
+      var openapi = fs.readFileSync(serverEnvironmentsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { environmentGeneration: 'Servers' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const environments = _.map(_.filter(conversionResult.output, ['type', 'environment']), 'data');
+
+          expect(conversionResult.output[0].type).to.eql('collection');
+          expect(_.map(environments, 'name')).to.eql([
+            'Server environments - Production',
+            'Server environments - Staging',
+            'Server environments - http://localhost:{port}'
+          ]);
+          expect(_.map(environments[0].values, (value) => { return _.pick(value, ['key', 'value']); })).to.eql([
+            { key: 'baseUrl', value: 'https://{{region}}.api.example.com/{{version}}' },
+            { key: 'region', value: 'us' },
+            { key: 'version', value: 'v1' }
+          ]);
+          expect(_.map(environments[1].values, 'key')).to.eql(['baseUrl']);
+          expect(_.map(environments[2].values, 'value')).to.eql(['http://localhost:{{port}}', '8080']);
+          expect(environments[0].id).to.be.a('string');
+          done();
+        });
+    });
+
+    it('Should generate an environment for each enum value of server variables with option set to ' +
+      '"Server variables"', function(done) {
+      var openapi = fs.readFileSync(serverEnvironmentsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { environmentGeneration: 'Server variables' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const environments = _.map(_.filter(conversionResult.output, ['type', 'environment']), 'data');
+
+          expect(_.map(environments, 'name')).to.eql([
+            'Server environments - Production (region: us, version: v1)',
+            'Server environments - Production (region: eu, version: v1)',
+            'Server environments - Staging',
+            'Server environments - http://localhost:{port}'
+          ]);
+          expect(_.find(environments[1].values, ['key', 'region']).value).to.eql('eu');
+          done();
+        });
+    });
+  });
+
+  describe('includePolymorphicExamples option', function() {
+    it('Should generate only single example for polymorphic bodies by default', function(done) {
+      var openapi = fs.readFileSync(polymorphicExamplesSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        const createPayment = conversionResult.output[0].data.item[0].item[0];
+
+        expect(_.map(createPayment.response, 'name')).to.eql(['Payment created', 'Invalid payment']);
+        done();
+      });
+    });
+
+    it('Should generate an example per discriminator mapping with discriminator property set', function(done) {
+      var openapi = fs.readFileSync(polymorphicExamplesSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includePolymorphicExamples: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const createPayment = conversionResult.output[0].data.item[0].item[0];
+
+          // request body uses first variant
+          expect(JSON.parse(createPayment.request.body.raw)).to.eql({ method: 'card', cardNumber: '<string>' });
+          expect(_.map(createPayment.response, 'name')).to.eql([
+            'Payment created (CardPayment)', 'Payment created (BankTransfer)', 'Invalid payment'
+          ]);
+
+          // request variants are based on discriminator mapping
+          expect(JSON.parse(createPayment.response[0].originalRequest.body.raw).method).to.eql('card');
+          expect(JSON.parse(createPayment.response[1].originalRequest.body.raw)).to.eql({
+            method: 'bank_transfer',
+            iban: '<string>'
+          });
+
+          // without mapping schema name is used as discriminator value
+          expect(JSON.parse(createPayment.response[0].body)).to.eql({ method: 'CardPayment', cardNumber: '<string>' });
+          expect(JSON.parse(createPayment.response[1].body)).to.eql({ method: 'BankTransfer', iban: '<string>' });
+          expect(JSON.parse(createPayment.response[2].body)).to.eql({ message: '<string>' });
+          done();
+        });
+    });
+
+    it('Should generate an example per oneOf schema without discriminator', function(done) {
+      var openapi = fs.readFileSync(polymorphicExamplesSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includePolymorphicExamples: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const getPayment = conversionResult.output[0].data.item[0].item[1].item[0];
+
+          expect(_.map(getPayment.response, 'name')).to.eql([
+            'Payment (CardPayment)', 'Payment (BankTransfer)', 'Payment (Voucher)'
+          ]);
+          expect(JSON.parse(getPayment.response[2].body)).to.eql({ code: '<string>' });
+          done();
+        });
+    });
+
+    it('Should limit number of generated examples with polymorphicExamplesLimit option', function(done) {
+      var openapi = fs.readFileSync(polymorphicExamplesSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { includePolymorphicExamples: true, polymorphicExamplesLimit: 2 }, (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const getPayment = conversionResult.output[0].data.item[0].item[1].item[0];
+
+          expect(_.map(getPayment.response, 'name')).to.eql(['Payment (CardPayment)', 'Payment (BankTransfer)']);
+          done();
+        });
+    });
+  });
+
+  describe('readOnly and writeOnly properties', function() {
+    it('Should not add readOnly properties in request body and writeOnly properties in response body',
+      function(done) {
+        var openapi = fs.readFileSync(readOnlyWriteOnlySpec, 'utf8');
+        Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const createUser = conversionResult.output[0].data.item[0].item[0];
+
+          expect(JSON.parse(createUser.request.body.raw)).to.eql({
+            name: '<string>',
+            password: '<string>',
+            address: { street: '<string>' }
+          });
+          expect(JSON.parse(createUser.response[0].originalRequest.body.raw)).to.not.have.property('id');
+          expect(JSON.parse(createUser.response[0].body)).to.eql({
+            id: '<integer>',
+            name: '<string>',
+            createdAt: '<dateTime>',
+            address: { verified: '<boolean>', street: '<string>' }
+          });
+          done();
+        });
+      });
+
+    it('Should not require writeOnly properties in response body schema of contract tests', function(done) {
+      var openapi = fs.readFileSync(readOnlyWriteOnlySpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { includeContractTests: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const exec = conversionResult.output[0].data.item[0].item[0].event[0].script.exec.join('\n');
+
+          expect(exec).to.include('"required":["id","name"]');
+          expect(exec).to.not.include('password');
+          done();
+        });
+    });
+  });
+
+  describe('Cookie parameters', function() {
+    it('Should add cookie parameters and cookie API key in Cookie header', function(done) {
+      var openapi = fs.readFileSync(cookieParamsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { parametersResolution: 'Example' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const collection = conversionResult.output[0].data,
+            getCart = collection.item[0].item[0],
+            cookieHeader = _.find(getCart.request.header, ['key', 'Cookie']);
+
+          expect(collection.auth.type).to.equal('noauth');
+          expect(_.map(getCart.request.header, 'key')).to.eql(['X-Request-Id', 'Cookie']);
+          expect(cookieHeader.value).to.equal('theme=dark; ids=3,4; SESSION={{apiKey}}');
+          expect(cookieHeader.description.content).to.equal('theme: UI theme\nids: (Required)\n' +
+            'SESSION: Added as a part of security scheme: apikey');
+          expect(cookieHeader.disabled).to.be.false;
+          done();
+        });
+    });
+
+    it('Should not add cookie API key in Cookie header of requests without security', function(done) {
+      var openapi = fs.readFileSync(cookieParamsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, {}, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        const getPublic = conversionResult.output[0].data.item[1].item[0],
+          cookieHeader = _.find(getPublic.request.header, ['key', 'Cookie']);
+
+        expect(cookieHeader.value).to.equal('tracking=<string>');
+        done();
+      });
+    });
+  });
+
+  describe('Operation filters', function() {
+    /**
+     * Collects names of all requests of collection items recursively
+     *
+     * @param {Array} items - Collection items
+     * @returns {Array} request names
+     */
+    function getRequestNames (items) {
+      return _.flatMap(items, (item) => { return item.item ? getRequestNames(item.item) : [item.name]; });
+    }
+
+    it('Should convert only operations matching tag, path and method filters', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { includeTags: ['pets', 'store'], excludePaths: ['/store/**'], excludeMethods: ['POST'] },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(getRequestNames(conversionResult.output[0].data.item))
+            .to.eql(['List pets', 'Get pet', 'Delete pet']);
+          done();
+        });
+    });
+
+    it('Should convert only operations matching operationId patterns and exclude internal ones', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { includeOperationIds: ['*Pet', 'reindex'], excludeOperationIds: ['create*'], excludeInternalOperations: true },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(getRequestNames(conversionResult.output[0].data.item)).to.eql(['Get pet']);
+          done();
+        });
+    });
+
+    it('Should not create folders of paths without any converted operation', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { excludePaths: ['/admin/**', '/store/**'] },
+        (err, conversionResult) => {
+          const collection = conversionResult.output[0].data;
+
+          expect(err).to.be.null;
+          expect(_.map(collection.item, 'name')).to.eql(['pets']);
+          done();
+        });
+    });
+
+    it('Should skip folders of excluded tags and prune empty folders with tags strategy', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { folderStrategy: 'Tags', excludeTags: ['admin'], includeMethods: ['get'] },
+        (err, conversionResult) => {
+          const collection = conversionResult.output[0].data;
+
+          expect(err).to.be.null;
+          expect(_.map(collection.item, 'name')).to.eql(['pets', 'store']);
+          expect(getRequestNames(collection.item)).to.eql(['List pets', 'Get pet', 'List orders']);
+          done();
+        });
+    });
+  });
+
+  describe('Tag groups folder strategy', function() {
+    it('Should nest folders of tags inside folders of tag groups', function(done) {
+      var openapi = fs.readFileSync(tagGroupsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { folderStrategy: 'Tag groups' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const collection = conversionResult.output[0].data,
+            [store, accounts, other, ping] = collection.item;
+
+          expect(_.map(collection.item, 'name')).to.eql(['Store', 'Accounts', 'Other', 'Ping']);
+          expect(_.map(store.item, 'name')).to.eql(['pets', 'orders']);
+          expect(store.item[0].description).to.equal('Everything about pets');
+          expect(store.item[0].item[0].name).to.equal('List pets');
+          expect(accounts.description).to.equal('Account management');
+          expect(_.map(accounts.item, 'name')).to.eql(['users']);
+          expect(_.map(other.item, 'name')).to.eql(['misc']);
+          expect(other.item[0].item[0].name).to.equal('Get status');
+          expect(ping.request.method).to.equal('GET');
+          done();
+        });
+    });
+
+    it('Should keep tag group named "Other" separate from folder of tags not belonging to any group',
+      function(done) {
+        var openapi = fs.readFileSync(tagGroupsSpec, 'utf8').replace('  - name: Accounts', '  - name: Other');
+        Converter.convertV2({ type: 'string', data: openapi }, { folderStrategy: 'Tag groups' },
+          (err, conversionResult) => {
+            expect(err).to.be.null;
+
+            const collection = conversionResult.output[0].data,
+              [, otherGroup, ungrouped] = collection.item;
+
+            expect(_.map(collection.item, 'name')).to.eql(['Store', 'Other', 'Other', 'Ping']);
+            expect(otherGroup.description).to.equal('Account management');
+            expect(_.map(otherGroup.item, 'name')).to.eql(['users']);
+            expect(ungrouped.description).to.be.empty;
+            expect(_.map(ungrouped.item, 'name')).to.eql(['misc']);
+            done();
+          });
+      });
+
+    it('Should generate folders of tags if no tag groups are defined', function(done) {
+      var openapi = fs.readFileSync(tagGroupsSpec, 'utf8').replace('x-tagGroups:', 'x-unusedTagGroups:');
+      Converter.convertV2({ type: 'string', data: openapi }, { folderStrategy: 'Tag groups' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(_.map(conversionResult.output[0].data.item, 'name'))
+            .to.eql(['pets', 'orders', 'users', 'misc', 'Ping']);
+          done();
+        });
+    });
+  });
+
+  describe('Naming templates', function() {
+    it('Should name requests according to request naming template with fallbacks', function(done) {
+      var openapi = fs.readFileSync(tagGroupsSpec, 'utf8').replace('summary: List orders', 'operationId: listOrders');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { folderStrategy: 'Tags', requestNameTemplate: '[{tag|method}] {summary|operationId}' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const collection = conversionResult.output[0].data;
+
+          expect(collection.item[0].item[0].name).to.equal('[pets] List pets');
+          expect(collection.item[1].item[0].name).to.equal('[orders] listOrders');
+          expect(_.last(collection.item).name).to.equal('[GET] Ping');
+          done();
+        });
+    });
+
+    it('Should name requests according to requestNameSource if template resolves to nothing', function(done) {
+      var openapi = fs.readFileSync(tagGroupsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi }, { requestNameTemplate: '{operationId}' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(conversionResult.output[0].data.item[0].item[0].name).to.equal('List pets');
+          done();
+        });
+    });
+
+    it('Should name folders according to folder naming template', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { folderNameTemplate: '{path} ({name})', requestNameTemplate: '{method} {path}' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+
+          const pets = conversionResult.output[0].data.item[0];
+
+          expect(pets.name).to.equal('/pets (pets)');
+          expect(pets.item[0].name).to.equal('GET /pets');
+          expect(pets.item[2].name).to.equal('/pets/{petId} ({petId})');
+          expect(pets.item[2].item[0].name).to.equal('GET /pets/{petId}');
+          done();
+        });
+    });
+
+    it('Should use tag descriptions in folder names with tags strategy', function(done) {
+      var openapi = fs.readFileSync(tagGroupsSpec, 'utf8');
+      Converter.convertV2({ type: 'string', data: openapi },
+        { folderStrategy: 'Tags', folderNameTemplate: '{description|name}' },
+        (err, conversionResult) => {
+          expect(err).to.be.null;
+          expect(_.map(conversionResult.output[0].data.item, 'name')).to.eql(['Everything about pets',
+            'Orders placed in store', 'Registered users', 'Miscellaneous operations', 'Ping']);
+          done();
+        });
+    });
+  });
+
+  describe('Deterministic IDs', function() {
+    /**
+     * Collects all IDs present in given object recursively
+     *
+     * @param {*} object - Object to collect IDs from
+     * @returns {Array} collected IDs
+     */
+    function collectIds (object) {
+      if (!_.isObject(object)) {
+        return [];
+      }
+
+      return _.flatMap(object, (value, key) => {
+        return _.includes(['id', '_postman_id'], key) && _.isString(value) ? [value] : collectIds(value);
+      });
+    }
+
+    it('Should generate identical output for identical definitions', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8'),
+        options = { deterministicIds: true, folderStrategy: 'Tags', includeContractTests: true,
+          environmentGeneration: 'Servers' };
+
+      Converter.convertV2({ type: 'string', data: openapi }, options, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        Converter.convertV2({ type: 'string', data: openapi }, options, (err, secondConversionResult) => {
+          expect(err).to.be.null;
+
+          const ids = collectIds(conversionResult.output);
+
+          expect(JSON.stringify(secondConversionResult.output)).to.equal(JSON.stringify(conversionResult.output));
+          expect(ids).to.have.lengthOf(_.uniq(ids).length);
+          _.forEach(ids, (id) => {
+            expect(id).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+          });
+          done();
+        });
+      });
+    });
+
+    it('Should keep IDs of requests when their parameters change and order collection variables', function(done) {
+      var openapi = fs.readFileSync(operationFiltersSpec, 'utf8').replace('  - url: https://api.example.com\n',
+          '  - url: https://{zone}.example.com/{base}\n    variables:\n      zone:\n        default: eu\n' +
+          '      base:\n        default: v1\n'),
+        changedOpenapi = openapi.replace('      operationId: listPets\n', '      operationId: listPets\n' +
+          '      parameters:\n        - name: limit\n          in: query\n' +
+          '          schema:\n            type: integer\n');
+
+      Converter.convertV2({ type: 'string', data: openapi }, { deterministicIds: true }, (err, conversionResult) => {
+        expect(err).to.be.null;
+
+        Converter.convertV2({ type: 'string', data: changedOpenapi }, { deterministicIds: true },
+          (err, changedConversionResult) => {
+            expect(err).to.be.null;
+
+            const listPets = conversionResult.output[0].data.item[0].item[0],
+              changedListPets = changedConversionResult.output[0].data.item[0].item[0];
+
+            expect(changedListPets.request.url.query).to.have.lengthOf(1);
+            expect(changedListPets.id).to.equal(listPets.id);
+            expect(changedListPets.response[0].id).to.equal(listPets.response[0].id);
+            expect(_.map(changedConversionResult.output[0].data.variable, 'key')).to.eql(['base', 'baseUrl', 'zone']);
+            done();
+          });
+      });
+    });
+  });
 });
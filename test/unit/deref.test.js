@@ -516,6 +516,31 @@ describe('DEREF FUNCTION TESTS ', function() {
       });
       done();
     });
+
+    it('should report schemas that can not be merged via provided logger', function () {
+      const warnings = [],
+        logger = { warn: (...args) => { warnings.push(args); } },
+        resolvedSchema = deref.resolveAllOf({ allOf: [{ type: 'string' }, { type: 'integer' }] },
+          'REQUEST', { concreteUtils: schemaUtils30X }, { logger });
+
+      expect(resolvedSchema).to.eql({ value: '<Error: Could not resolve allOf schema' });
+      expect(warnings).to.have.lengthOf(1);
+      expect(warnings[0][0]).to.equal('Error while resolving allOf schema: ');
+    });
+  });
+
+  describe('js2xml should', function() {
+    const js2xml = require('../../lib/common/js2xml');
+
+    it('report conversion errors via provided handler', function () {
+      const errors = [],
+        xml = js2xml({ pet: { get name () { throw new Error('Invalid example'); } } }, '  ', (err) => {
+          errors.push(err);
+        });
+
+      expect(xml).to.equal('<js2xmlError>Failed to generate XML data from provided Example.</js2xmlError>');
+      expect(_.map(errors, 'message')).to.eql(['Invalid example']);
+    });
   });
 
   describe('_getEscaped should', function() {
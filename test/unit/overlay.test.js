@@ -0,0 +1,115 @@
+var expect = require('chai').expect,
+  _ = require('lodash'),
+  fs = require('fs'),
+  path = require('path'),
+  { SchemaPack, MODULE_VERSION } = require('../../lib/schemapack.js'),
+  { selectNodes } = require('../../lib/overlay.js'),
+  VALID_OPENAPI_PATH = '../data/valid_openapi',
+  OVERLAYS_PATH = '../data/overlays',
+  petstoreSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_PATH + '/petstore.yaml'), 'utf8'),
+  petstoreOverlay = fs.readFileSync(path.join(__dirname, OVERLAYS_PATH + '/petstoreOverlay.yaml'), 'utf8');
+
+
+describe('selectNodes method', function() {
+  const document = {
+    paths: {
+      '/pets': {
+        get: { parameters: [{ name: 'limit', in: 'query' }, { name: 'page', in: 'query', required: true }] },
+        post: { 'x-internal': true }
+      }
+    }
+  };
+
+  it('should select nodes via child, wildcard and index selectors', function() {
+    expect(_.map(selectNodes(document, '$.paths[\'/pets\'].get.parameters[1].name'), 'value')).to.eql(['page']);
+    expect(_.map(selectNodes(document, '$.paths.*.*'), 'key')).to.eql(['get', 'post']);
+    expect(_.map(selectNodes(document, '$.paths[\'/pets\'].get.parameters[-1]'), 'key')).to.eql([1]);
+  });
+
+  it('should select nodes via recursive descent and filter selectors', function() {
+    expect(_.map(selectNodes(document, '$..parameters[?(@.name == \'limit\')]'), 'value.in')).to.eql(['query']);
+    expect(_.map(selectNodes(document, '$..parameters[?(@.required)]'), 'value.name')).to.eql(['page']);
+    expect(_.map(selectNodes(document, '$.paths.*[?(@.x-internal == true || @.parameters)]'), 'key'))
+      .to.eql(['get', 'post']);
+    expect(selectNodes(document, '$.paths[\'/users\']')).to.be.empty;
+  });
+
+  it('should throw error for invalid JSONPath', function() {
+    expect(() => { selectNodes(document, 'paths.pets'); }).to.throw('JSONPath must start with "$"');
+  });
+});
+
+describe('SchemaPack overlays', function() {
+  it('should apply update and remove actions of overlays before conversion', function(done) {
+    const schemaPack = new SchemaPack({ type: 'string', data: petstoreSpec, overlays: [petstoreOverlay] },
+      { parametersResolution: 'Example' }, MODULE_VERSION.V2);
+
+    expect(schemaPack.validated).to.be.true;
+    schemaPack.convertV2((err, result) => {
+      expect(err).to.be.null;
+
+      const collection = result.output[0].data,
+        requests = _.flatMap(collection.item, (folder) => { return folder.item || [folder]; }),
+        listPets = _.find(requests, ['name', 'Get all pets in the store']);
+
+      expect(collection.info.name).to.equal('Petstore for Postman');
+      expect(listPets).to.not.be.undefined;
+      expect(_.find(listPets.request.url.query, ['key', 'limit']).value).to.equal('5');
+      expect(_.find(requests, ['name', 'Create a pet'])).to.be.undefined;
+      expect(schemaPack.openapi.paths['/pets'].get.tags).to.eql(['pets', 'petsV2']);
+      done();
+    });
+  });
+
+  it('should report overlay targets that matched nothing', function() {
+    const schemaPack = new SchemaPack({ type: 'string', data: petstoreSpec, overlays: [petstoreOverlay] },
+      {}, MODULE_VERSION.V2);
+
+    expect(schemaPack.overlayResult.unmatchedTargets).to.eql([{
+      overlay: 'Postman tweaks for Petstore',
+      target: '$.paths[\'/unknown\']',
+      description: 'Path that is not present'
+    }]);
+  });
+
+  it('should not mutate definition provided as JSON', function() {
+    const definition = JSON.parse(JSON.stringify(new SchemaPack({ type: 'string', data: petstoreSpec }).openapi)),
+      schemaPack = new SchemaPack({ type: 'json', data: definition, overlays: [petstoreOverlay] },
+        {}, MODULE_VERSION.V2);
+
+    expect(schemaPack.openapi.info.title).to.equal('Petstore for Postman');
+    expect(definition.info.title).to.equal('Swagger Petstore');
+  });
+
+  it('should apply overlays provided via options before the ones provided via input', function() {
+    const titleOverlay = {
+        overlay: '1.0.0',
+        info: { title: 'Title tweaks', version: '1.0.0' },
+        actions: [{ target: '$.info', update: { title: 'Petstore via options', description: 'Set via options' } }]
+      },
+      optionsSchemaPack = new SchemaPack({ type: 'string', data: petstoreSpec },
+        { overlays: [titleOverlay] }, MODULE_VERSION.V2),
+      mergedSchemaPack = new SchemaPack({ type: 'string', data: petstoreSpec, overlays: [petstoreOverlay] },
+        { overlays: [titleOverlay] }, MODULE_VERSION.V2);
+
+    expect(optionsSchemaPack.validated).to.be.true;
+    expect(optionsSchemaPack.openapi.info.title).to.equal('Petstore via options');
+    expect(optionsSchemaPack.overlayResult.unmatchedTargets).to.eql([]);
+
+    // title of input overlay overrides the one of options overlay
+    expect(mergedSchemaPack.openapi.info).to.include({ title: 'Petstore for Postman', description: 'Set via options' });
+    expect(mergedSchemaPack.openapi.paths['/pets'].post).to.be.undefined;
+    expect(_.map(mergedSchemaPack.overlayResult.unmatchedTargets, 'target')).to.eql(['$.paths[\'/unknown\']']);
+  });
+
+  it('should fail validation for invalid overlay documents', function() {
+    const schemaPack = new SchemaPack({ type: 'string', data: petstoreSpec, overlays: [{ actions: [] }] },
+      {}, MODULE_VERSION.V2);
+
+    expect(schemaPack.validated).to.be.false;
+    expect(schemaPack.validationResult).to.eql({
+      result: false,
+      reason: 'Invalid overlay at index 0: Overlay must contain the "overlay" field specifying the version'
+    });
+  });
+});
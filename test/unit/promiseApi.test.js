@@ -0,0 +1,98 @@
+var expect = require('chai').expect,
+  Converter = require('../../index.js'),
+  UserError = require('../../lib/common/UserError'),
+  fs = require('fs'),
+  path = require('path'),
+  VALID_OPENAPI_PATH = '../data/valid_openapi',
+  petstoreSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_PATH + '/petstore.yaml'), 'utf8'),
+  invalidSpec = 'openapi: 3.0.0\ninfo: {}\n';
+
+
+describe('Promise based API', function() {
+  it('should resolve with conversion result for convertAsync and convertV2Async', async function() {
+    const result = await Converter.convertAsync({ type: 'string', data: petstoreSpec }, {}),
+      resultV2 = await Converter.convertV2Async({ type: 'string', data: petstoreSpec }, {});
+
+    expect(result.result).to.be.true;
+    expect(result.output[0].data.info.name).to.equal('Swagger Petstore');
+    expect(resultV2.result).to.be.true;
+    expect(resultV2.output[0].data.info.name).to.equal('Swagger Petstore');
+  });
+
+  it('should reject with UserError for invalid definition', async function() {
+    for (const operation of [
+      () => { return Converter.convertV2Async({ type: 'string', data: invalidSpec }, {}); },
+      () => { return Converter.validateAsync({ type: 'string', data: invalidSpec }); },
+      () => { return Converter.getMetaDataAsync({ type: 'string', data: invalidSpec }); },
+      () => { return Converter.validateTransactionV2Async({ type: 'string', data: invalidSpec }, [], {}); }
+    ]) {
+      let error;
+
+      try {
+        await operation();
+      }
+      catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(UserError);
+      expect(error.message).to.include('Specification must contain Paths Object');
+    }
+  });
+
+  it('should resolve with results of validation and metadata', async function() {
+    const validationResult = await Converter.validateAsync({ type: 'string', data: petstoreSpec }),
+      metaData = await Converter.getMetaDataAsync({ type: 'string', data: petstoreSpec });
+
+    expect(validationResult.result).to.be.true;
+    expect(metaData.name).to.equal('Swagger Petstore');
+  });
+
+  it('should resolve with result of merged definition for mergeAndValidateAsync', async function() {
+    const folderPath = path.join(__dirname, '../data/petstore-separate'),
+      result = await Converter.mergeAndValidateAsync({ type: 'folder', data: [
+        { fileName: folderPath + '/common/Error.json' },
+        { fileName: folderPath + '/spec/Pet.json' },
+        { fileName: folderPath + '/spec/NewPet.json' },
+        { fileName: folderPath + '/spec/parameters.json' },
+        { fileName: folderPath + '/spec/swagger.json' }
+      ] });
+
+    expect(result.result).to.be.true;
+  });
+
+  it('should resolve with validation result and reject invalid transactions as UserError', async function() {
+    const result = await Converter.validateTransactionV2Async({ type: 'string', data: petstoreSpec }, [{
+      id: 'listPets',
+      request: { url: 'http://petstore.swagger.io/v1/pets', method: 'GET', header: [] },
+      response: []
+    }], {});
+    let error;
+
+    expect(result.requests.listPets.endpoints[0].matched).to.be.a('boolean');
+
+    try {
+      await Converter.validateTransactionV2Async({ type: 'string', data: petstoreSpec }, [{ id: 'invalid' }], {});
+    }
+    catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.instanceOf(UserError);
+    expect(error.message).to.equal('Invalid syntax provided for requestList');
+  });
+
+  it('should reject with UserError for invalid collection in convertCollectionToOpenAPIAsync', async function() {
+    let error;
+
+    try {
+      await Converter.convertCollectionToOpenAPIAsync({ type: 'json', data: {} }, {});
+    }
+    catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.instanceOf(UserError);
+    expect(error.message).to.equal('Provided collection is invalid: Collection v2.1 is expected.');
+  });
+});
@@ -0,0 +1,209 @@
+var expect = require('chai').expect,
+  _ = require('lodash'),
+  Converter = require('../../index.js'),
+  fs = require('fs'),
+  path = require('path'),
+  VALID_OPENAPI_PATH = '../data/valid_openapi',
+  operationFiltersSpec = fs.readFileSync(path.join(__dirname, VALID_OPENAPI_PATH + '/operationFilters.yaml'), 'utf8'),
+  changedSpec = operationFiltersSpec
+    .replace(/ {2}\/admin\/reindex:[\s\S]*$/, '')
+    .replace('  /store/orders:', [
+      '  /store/orders/{orderId}:',
+      '    get:',
+      '      tags: [store]',
+      '      summary: Get order',
+      '      responses:',
+      '        \'200\':',
+      '          description: OK',
+      '  /store/orders:'
+    ].join('\n'))
+    .replace('      operationId: listPets\n', [
+      '      operationId: listPets',
+      '      parameters:',
+      '        - name: limit',
+      '          in: query',
+      '          schema:',
+      '            type: integer',
+      ''
+    ].join('\n'));
+
+/**
+ * Finds request item with given name in collection recursively
+ *
+ * @param {Array} items - Collection items
+ * @param {String} name - Name of request
+ * @returns {Object} request item
+ */
+function findRequest (items, name) {
+  return _.find(_.flatMapDeep(items, function flatten (item) {
+    return item.item ? _.flatMapDeep(item.item, flatten) : [item];
+  }), ['name', name]);
+}
+
+describe('syncCollectionV2 method', function() {
+  let previousCollection;
+
+  beforeEach(function(done) {
+    Converter.convertV2({ type: 'string', data: operationFiltersSpec }, {}, (err, result) => {
+      expect(err).to.be.null;
+
+      previousCollection = result.output[0].data;
+
+      const listPets = findRequest(previousCollection.item, 'List pets');
+
+      // edits made by user
+      listPets.name = 'List all pets';
+      listPets.event = [{ listen: 'test', script: { type: 'text/javascript', exec: ['pm.test("ok");'] } }];
+      listPets.response.push(_.assign({}, listPets.response[0], { id: 'custom', name: 'Saved by QA' }));
+      previousCollection.variable.push({ key: 'token', value: 'secret' });
+      done();
+    });
+  });
+
+  it('should refresh requests from definition while preserving user scripts and examples', function(done) {
+    const previousListPets = findRequest(previousCollection.item, 'List all pets');
+
+    Converter.syncCollectionV2({ type: 'string', data: changedSpec }, previousCollection, {}, (err, result) => {
+      expect(err).to.be.null;
+      expect(result.result).to.be.true;
+
+      const collection = result.output[0].data,
+        listPets = findRequest(collection.item, 'List all pets');
+
+      expect(listPets.id).to.equal(previousListPets.id);
+      expect(_.map(listPets.request.url.query, 'key')).to.eql(['limit']);
+      expect(listPets.event).to.eql(previousListPets.event);
+      expect(_.map(listPets.response, 'name')).to.eql(['OK', 'Saved by QA']);
+      expect(_.find(collection.variable, ['key', 'token']).value).to.equal('secret');
+      expect(collection.info._postman_id).to.equal(previousCollection.info._postman_id);
+      done();
+    });
+  });
+
+  it('should move requests of removed operations to Obsolete folder and report changes', function(done) {
+    Converter.syncCollectionV2({ type: 'string', data: changedSpec }, previousCollection, {}, (err, result) => {
+      expect(err).to.be.null;
+
+      const collection = result.output[0].data,
+        obsoleteFolder = _.last(collection.item);
+
+      expect(obsoleteFolder.name).to.equal('Obsolete');
+      expect(_.map(obsoleteFolder.item, 'name')).to.eql(['Reindex']);
+      expect(_.map(result.report.added, 'name')).to.eql(['Get order']);
+      expect(result.report.added[0]).to.include({ method: 'GET', path: '/store/orders/{orderId}' });
+      expect(_.map(result.report.updated, 'name')).to.eql(['List all pets']);
+      expect(_.map(result.report.unchanged, 'name')).to.eql(['Create pet', 'Get pet', 'Delete pet', 'List orders']);
+      expect(result.report.obsolete).to.eql([{
+        id: obsoleteFolder.item[0].id,
+        name: 'Reindex',
+        method: 'POST',
+        path: '{{baseUrl}}/admin/reindex'
+      }]);
+      done();
+    });
+  });
+
+  it('should match requests via operation reference stored during conversion', function(done) {
+    const movedSpec = operationFiltersSpec.replace('  /store/orders:', '  /orders:'),
+      options = { includeOperationReference: true };
+
+    // operation reference is only stored if enabled
+    expect(findRequest(previousCollection.item, 'List all pets')).not.to.have.property('_openapiOperation');
+
+    Converter.convertV2({ type: 'string', data: operationFiltersSpec }, options, (err, conversionResult) => {
+      expect(err).to.be.null;
+
+      const collection = conversionResult.output[0].data;
+
+      expect(findRequest(collection.item, 'List pets')._openapiOperation)
+        .to.eql({ operationId: 'listPets', pointer: '/paths/~1pets/get' });
+
+      Converter.syncCollectionV2({ type: 'string', data: movedSpec }, collection, options, (err, result) => {
+        expect(err).to.be.null;
+
+        const listOrders = findRequest(result.output[0].data.item, 'List orders');
+
+        // request of operation moved to other path is refreshed instead of being obsolete
+        expect(listOrders.request.url.path).to.eql(['orders']);
+        expect(listOrders._openapiOperation).to.eql({ operationId: 'listOrders', pointer: '/paths/~1orders/get' });
+        expect(result.report.added).to.eql([]);
+        expect(result.report.obsolete).to.eql([]);
+        expect(_.find(result.report.updated, ['name', 'List orders'])).to.include({ method: 'GET', path: '/orders' });
+        done();
+      });
+    });
+  });
+
+  it('should match webhook and callback requests via operation reference stored during conversion', function(done) {
+    const eventsSpec = [
+        'openapi: 3.1.0',
+        'info:',
+        '  title: Events',
+        '  version: 1.0.0',
+        'servers:',
+        '  - url: https://api.example.com',
+        'paths:',
+        '  /subscriptions:',
+        '    post:',
+        '      summary: Create subscription',
+        '      operationId: createSubscription',
+        '      responses:',
+        '        \'201\':',
+        '          description: Created',
+        '      callbacks:',
+        '        onEvent:',
+        '          \'{$request.body#/callbackUrl}/events\':',
+        '            post:',
+        '              summary: Event notification',
+        '              operationId: notifyEvent',
+        '              responses:',
+        '                \'200\':',
+        '                  description: OK',
+        'webhooks:',
+        '  newPet:',
+        '    post:',
+        '      summary: New pet',
+        '      operationId: newPet',
+        '      responses:',
+        '        \'200\':',
+        '          description: OK',
+        ''
+      ].join('\n'),
+      changedEventsSpec = eventsSpec.replace('  newPet:', '  petCreated:').replace('/events', '/notifications'),
+      options = { includeOperationReference: true, includeCallbacks: true, includeWebhooks: true };
+
+    Converter.convertV2({ type: 'string', data: eventsSpec }, options, (err, conversionResult) => {
+      expect(err).to.be.null;
+
+      const collection = conversionResult.output[0].data;
+
+      expect(findRequest(collection.item, 'New pet')._openapiOperation)
+        .to.eql({ operationId: 'newPet', pointer: '/webhooks/newPet/post' });
+      expect(findRequest(collection.item, 'Event notification')._openapiOperation).to.eql({
+        operationId: 'notifyEvent',
+        pointer: '/paths/~1subscriptions/post/callbacks/onEvent/{$request.body#~1callbackUrl}~1events/post'
+      });
+
+      Converter.syncCollectionV2({ type: 'string', data: changedEventsSpec }, collection, options, (err, result) => {
+        expect(err).to.be.null;
+
+        const syncedRequests = _.concat(result.report.updated, result.report.unchanged);
+
+        expect(result.report.added).to.eql([]);
+        expect(result.report.obsolete).to.eql([]);
+        expect(_.find(syncedRequests, ['name', 'New pet'])).to.include({ method: 'POST', path: 'petCreated' });
+        expect(_.find(syncedRequests, ['name', 'Event notification']))
+          .to.include({ method: 'POST', path: '{$request.body#/callbackUrl}/notifications' });
+        done();
+      });
+    });
+  });
+
+  it('should return error for invalid collection', function(done) {
+    Converter.syncCollectionV2({ type: 'string', data: changedSpec }, { item: [] }, {}, (err) => {
+      expect(err.name).to.equal('UserError');
+      expect(err.message).to.equal('Provided collection is invalid: Collection v2.1 is expected.');
+      done();
+    });
+  });
+});